@@ -0,0 +1,26 @@
+/**
+ * GitHub Pages Publisher
+ * Publishes previews to the gh-pages branch through the GitHub service
+ */
+
+const githubService = require('../services/githubService');
+
+/**
+ * Create the GitHub Pages publisher
+ * @returns {Object} Publisher implementing deploy, deployBatch, list, delete, move and getUrl
+ */
+function createGithubPublisher() {
+  return {
+    name: 'github',
+    deploy: githubService.deploy,
+    deployBatch: githubService.deployBatch,
+    list: githubService.listDeployedPreviews,
+    delete: githubService.deleteFolders,
+    move: githubService.moveFolder,
+    getUrl: githubService.getFolderUrl,
+  };
+}
+
+module.exports = {
+  createGithubPublisher,
+};
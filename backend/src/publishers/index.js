@@ -0,0 +1,69 @@
+/**
+ * Publishers
+ * Selects where previews are deployed, based on the PUBLISHER environment variable
+ *
+ * Every publisher implements:
+ *   deploy({ creativeName, folderPath, files, onStateChange })
+ *   deployBatch({ message, deployments, rollbackOnFailure, onStateChange })
+ *   list()
+ *   delete({ folderPaths, deployments, message, onStateChange })
+ *   move({ folderPath, into, deployments, message, onStateChange })
+ *   getUrl(folderPath)
+ */
+
+const path = require('path');
+const { createGithubPublisher } = require('./githubPublisher');
+const { createLocalPublisher } = require('./localPublisher');
+const { createS3Publisher } = require('./s3Publisher');
+
+const defaultLocalDir = path.join(__dirname, '../../previews');
+
+let publisher = null;
+
+/**
+ * Create the publisher named by PUBLISHER (github by default)
+ */
+function createPublisher() {
+  const name = (process.env.PUBLISHER || 'github').toLowerCase();
+
+  switch (name) {
+    case 'github':
+      return createGithubPublisher();
+    case 'local': {
+      const port = process.env.PORT || 4000;
+      const publicUrl = process.env.PUBLIC_URL || `http://localhost:${port}`;
+      return createLocalPublisher({
+        rootDir: process.env.LOCAL_PUBLISH_DIR || defaultLocalDir,
+        baseUrl: `${publicUrl.replace(/\/+$/, '')}/previews`,
+      });
+    }
+    case 's3':
+      return createS3Publisher({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX,
+        publicUrl: process.env.S3_PUBLIC_URL,
+      });
+    default:
+      throw new Error(`Unknown PUBLISHER "${name}" (expected "github", "local" or "s3")`);
+  }
+}
+
+/**
+ * Get the configured publisher (created on first use)
+ * @returns {Object} Publisher
+ */
+function getPublisher() {
+  if (!publisher) {
+    publisher = createPublisher();
+  }
+  return publisher;
+}
+
+module.exports = {
+  getPublisher,
+};
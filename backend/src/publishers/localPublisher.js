@@ -0,0 +1,208 @@
+/**
+ * Local Directory Publisher
+ * Writes previews to a folder on disk that the Express server serves under /previews/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const deployQueue = require('../services/deployQueue');
+const { sanitizePath } = require('../services/githubService');
+
+async function exists(target) {
+  return fs.promises.access(target).then(() => true, () => false);
+}
+
+/**
+ * Create a publisher that writes to a local directory
+ * @param {Object} options - Publisher options
+ * @param {string} options.rootDir - Directory previews are written to
+ * @param {string} options.baseUrl - Public URL the directory is served from
+ * @returns {Object} Publisher implementing deploy, deployBatch, list, delete, move and getUrl
+ */
+function createLocalPublisher({ rootDir, baseUrl }) {
+  const queueKey = `local:${rootDir}`;
+  const root = path.resolve(rootDir);
+
+  /**
+   * Resolve a path inside the publish directory, refusing anything that escapes it
+   */
+  function resolveInside(...segments) {
+    const target = path.resolve(root, ...segments);
+    if (target !== root && !target.startsWith(root + path.sep)) {
+      throw new Error(`Refusing to write outside the publish directory: ${segments.join('/')}`);
+    }
+    return target;
+  }
+
+  function getUrl(folderPath) {
+    const basePath = sanitizePath(folderPath);
+    return `${baseUrl.replace(/\/+$/, '')}/${basePath ? `${basePath}/` : ''}`;
+  }
+
+  /**
+   * Write a deployment's files under the publish directory
+   * @param {Object} deployment - { creativeName, folderPath, files }
+   * @param {Map} [snapshot] - Filled with what each path held before it was written (null for
+   *   new files and directories), so a failed batch can be put back with restoreSnapshot
+   */
+  async function writeFolder({ creativeName, folderPath, files }, snapshot) {
+    const basePath = sanitizePath(folderPath ?? creativeName);
+
+    for (const file of files) {
+      const target = resolveInside(basePath, file.path);
+      if (snapshot) await remember(snapshot, target);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(
+        target,
+        Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf-8')
+      );
+    }
+
+    return basePath;
+  }
+
+  async function remember(snapshot, target) {
+    // The outermost directory about to be created goes with everything inside it
+    let missingDir = null;
+    for (let dir = path.dirname(target); dir !== root && !(await exists(dir)); dir = path.dirname(dir)) {
+      missingDir = dir;
+    }
+    if (missingDir) {
+      if (!snapshot.has(missingDir)) snapshot.set(missingDir, null);
+      return;
+    }
+
+    if (snapshot.has(target)) return;
+    snapshot.set(target, await fs.promises.readFile(target).catch((error) => {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }));
+  }
+
+  /**
+   * Put every path in a snapshot back the way it was: new files and directories are removed,
+   * overwritten files get their previous content again
+   */
+  async function restoreSnapshot(snapshot) {
+    for (const [target, previous] of snapshot) {
+      if (previous) {
+        await fs.promises.writeFile(target, previous);
+      } else {
+        await fs.promises.rm(target, { recursive: true, force: true });
+      }
+    }
+  }
+
+  return {
+    name: 'local',
+    rootDir: root,
+    getUrl,
+
+    async deploy({ creativeName, folderPath, files, onStateChange }) {
+      const { id, promise } = deployQueue.enqueue(queueKey, async () => {
+        const basePath = await writeFolder({ creativeName, folderPath, files });
+        const previewUrl = getUrl(basePath);
+        console.log(`✅ Published locally: ${previewUrl}`);
+        return { success: true, previewUrl, blobs: { created: files.length, reused: 0 } };
+      }, { label: creativeName, onStateChange });
+
+      const result = await promise;
+      return { ...result, deployId: id };
+    },
+
+    async deployBatch({ message, deployments, rollbackOnFailure = false, onStateChange }) {
+      const { id, promise } = deployQueue.enqueue(queueKey, async () => {
+        const results = [];
+        // Only kept when the batch may have to be undone
+        const snapshot = rollbackOnFailure ? new Map() : null;
+
+        for (const deployment of deployments) {
+          try {
+            const basePath = await writeFolder(deployment, snapshot);
+            results.push({
+              folderPath: basePath,
+              previewUrl: getUrl(basePath),
+              blobs: { created: deployment.files.length, reused: 0 },
+              success: true,
+            });
+          } catch (error) {
+            if (rollbackOnFailure) {
+              // Undo what this batch already wrote, so a failed batch leaves no half-written folders
+              await restoreSnapshot(snapshot).catch(err => console.error('Local rollback failed:', err));
+              throw new Error(`Failed to publish locally, batch rolled back: ${error.message}`);
+            }
+            results.push({ folderPath: deployment.folderPath, previewUrl: null, success: false, error: error.message });
+          }
+        }
+        console.log(`✅ Published batch locally: ${message}`);
+        return { success: true, deployments: results };
+      }, { label: message, onStateChange });
+
+      const result = await promise;
+      return { ...result, deployId: id };
+    },
+
+    async list() {
+      try {
+        const entries = await fs.promises.readdir(root, { withFileTypes: true });
+        return entries
+          .filter(entry => entry.isDirectory())
+          .map(entry => ({ name: entry.name, path: entry.name, url: getUrl(entry.name) }));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    async delete({ folderPaths, deployments = [], message, onStateChange }) {
+      const { id, promise } = deployQueue.enqueue(queueKey, async () => {
+        for (const folderPath of folderPaths) {
+          const basePath = sanitizePath(folderPath);
+          if (!basePath) continue;
+          await fs.promises.rm(resolveInside(basePath), { recursive: true, force: true });
+        }
+        for (const deployment of deployments) {
+          await writeFolder(deployment);
+        }
+        return { success: true, removed: folderPaths.length };
+      }, { label: message || `Delete ${folderPaths.join(', ')}`, onStateChange });
+
+      const result = await promise;
+      return { ...result, deployId: id };
+    },
+
+    async move({ folderPath, into, deployments = [], message, onStateChange }) {
+      const { id, promise } = deployQueue.enqueue(queueKey, async () => {
+        const basePath = sanitizePath(folderPath);
+        const subfolder = sanitizePath(into);
+        if (!basePath || !subfolder) {
+          throw new Error('Both the folder and the subfolder to move into are required');
+        }
+
+        const source = resolveInside(basePath);
+        const target = resolveInside(basePath, subfolder);
+        const entries = await fs.promises.readdir(source).catch((error) => {
+          if (error.code === 'ENOENT') return [];
+          throw error;
+        });
+        const moving = entries.filter(name => name !== subfolder.split('/')[0]);
+
+        await fs.promises.mkdir(target, { recursive: true });
+        for (const name of moving) {
+          await fs.promises.rename(path.join(source, name), path.join(target, name));
+        }
+        for (const deployment of deployments) {
+          await writeFolder(deployment);
+        }
+        return { success: true, moved: moving.length };
+      }, { label: message || `Move ${folderPath} into ${into}`, onStateChange });
+
+      const result = await promise;
+      return { ...result, deployId: id };
+    },
+  };
+}
+
+module.exports = {
+  createLocalPublisher,
+};
@@ -0,0 +1,371 @@
+/**
+ * S3 Publisher
+ * Uploads previews to an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+ */
+
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  CopyObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand,
+} = require('@aws-sdk/client-s3');
+const deployQueue = require('../services/deployQueue');
+const { sanitizePath } = require('../services/githubService');
+const { getFileType } = require('../services/zipProcessor');
+
+// Parallel uploads per deployment
+const UPLOAD_CONCURRENCY = 8;
+
+// S3 DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.apng': 'image/apng',
+  '.jfif': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+};
+
+// Pages and data change on every re-upload; media is heavy and rarely changes
+const cacheControlByType = {
+  html: 'no-cache',
+  json: 'no-cache',
+  xml: 'no-cache',
+  css: 'public, max-age=300',
+  javascript: 'public, max-age=300',
+  image: 'public, max-age=86400',
+  font: 'public, max-age=86400',
+  video: 'public, max-age=86400',
+  audio: 'public, max-age=86400',
+};
+
+/**
+ * Content-Type and Cache-Control headers for a file. The type sniffed from an extracted
+ * file's content wins over its extension
+ * @param {Object} file - File object ({ path, type, mimeType })
+ * @returns {{ contentType: string, cacheControl: string }}
+ */
+function getObjectHeaders(file) {
+  const ext = path.extname(file.path).toLowerCase();
+  const type = file.type || getFileType(ext);
+  return {
+    contentType: file.mimeType || contentTypes[ext] || 'application/octet-stream',
+    cacheControl: cacheControlByType[type] || 'public, max-age=300',
+  };
+}
+
+/**
+ * Create a publisher that uploads to an S3-compatible bucket
+ * @param {Object} options - Publisher options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} [options.region] - Bucket region
+ * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+ * @param {boolean} [options.forcePathStyle] - Use path-style URLs (required by most S3 stand-ins)
+ * @param {string} [options.accessKeyId] - Access key (falls back to the default AWS credential chain)
+ * @param {string} [options.secretAccessKey] - Secret key
+ * @param {string} [options.prefix] - Key prefix all previews are stored under
+ * @param {string} [options.publicUrl] - CDN or website URL serving the bucket
+ * @returns {Object} Publisher implementing deploy, deployBatch, list, delete, move and getUrl
+ */
+function createS3Publisher({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  forcePathStyle = false,
+  accessKeyId,
+  secretAccessKey,
+  prefix = '',
+  publicUrl,
+}) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET environment variable is required for the s3 publisher');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    ...(accessKeyId && secretAccessKey && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+
+  const queueKey = `s3:${endpoint || 'aws'}/${bucket}`;
+  const keyPrefix = prefix ? `${sanitizePath(prefix)}/` : '';
+
+  /**
+   * URL of a folder. CDN/website endpoints resolve index documents themselves;
+   * plain bucket URLs need index.html spelled out.
+   */
+  function getUrl(folderPath) {
+    const folder = toKey(sanitizePath(folderPath));
+    const key = folder ? `${folder}/` : '';
+    if (publicUrl) {
+      return `${publicUrl.replace(/\/+$/, '')}/${key}`;
+    }
+    if (endpoint) {
+      const base = endpoint.replace(/\/+$/, '');
+      return forcePathStyle
+        ? `${base}/${bucket}/${key}index.html`
+        : `${base.replace('://', `://${bucket}.`)}/${key}index.html`;
+    }
+    return `https://${bucket}.s3.${region}.amazonaws.com/${key}index.html`;
+  }
+
+  /**
+   * Object key for a path below the configured prefix
+   */
+  function toKey(...segments) {
+    return [keyPrefix.replace(/\/$/, ''), ...segments]
+      .map(segment => segment.replace(/\\/g, '/').replace(/^\/+|\/+$/g, ''))
+      .filter(Boolean)
+      .join('/');
+  }
+
+  /**
+   * Upload a deployment's files
+   * @param {Object} deployment - { creativeName, folderPath, files }
+   * @param {Map} [snapshot] - Filled with the object each key held before it was overwritten
+   *   (null for new keys), so a failed batch can be put back with restoreSnapshot
+   */
+  async function uploadFolder({ creativeName, folderPath, files }, snapshot) {
+    const basePath = sanitizePath(folderPath ?? creativeName);
+
+    for (let i = 0; i < files.length; i += UPLOAD_CONCURRENCY) {
+      // Every put in the chunk settles before a failure is thrown, so a rollback never races a late upload
+      const outcomes = await Promise.allSettled(files.slice(i, i + UPLOAD_CONCURRENCY).map(async (file) => {
+        const key = toKey(basePath, file.path);
+        const { contentType, cacheControl } = getObjectHeaders(file);
+
+        if (snapshot && !snapshot.has(key)) {
+          snapshot.set(key, await readObject(key));
+        }
+
+        await client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf-8'),
+          ContentType: contentType,
+          CacheControl: cacheControl,
+        }));
+      }));
+      const failed = outcomes.find(outcome => outcome.status === 'rejected');
+      if (failed) throw failed.reason;
+    }
+
+    return { basePath };
+  }
+
+  /**
+   * Current content and headers of an object, or null if it doesn't exist
+   */
+  async function readObject(key) {
+    try {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return {
+        body: Buffer.from(await response.Body.transformToByteArray()),
+        contentType: response.ContentType,
+        cacheControl: response.CacheControl,
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Put every key in a snapshot back the way it was: new keys are deleted,
+   * overwritten ones get their previous content again
+   */
+  async function restoreSnapshot(snapshot) {
+    const created = [];
+    for (const [key, previous] of snapshot) {
+      if (!previous) {
+        created.push(key);
+        continue;
+      }
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: previous.body,
+        ContentType: previous.contentType,
+        CacheControl: previous.cacheControl,
+      }));
+    }
+    await deleteKeys(created);
+  }
+
+  async function listKeys(keyPrefixToList) {
+    const keys = [];
+    let ContinuationToken;
+    do {
+      const response = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: keyPrefixToList,
+        ContinuationToken,
+      }));
+      (response.Contents || []).forEach(object => keys.push(object.Key));
+      ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return keys;
+  }
+
+  async function deleteKeys(keys) {
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      await client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: keys.slice(i, i + DELETE_BATCH_SIZE).map(Key => ({ Key })), Quiet: true },
+      }));
+    }
+  }
+
+  return {
+    name: 's3',
+    getUrl,
+
+    async deploy({ creativeName, folderPath, files, onStateChange }) {
+      const { id, promise } = deployQueue.enqueue(queueKey, async () => {
+        try {
+          const { basePath } = await uploadFolder({ creativeName, folderPath, files });
+          const previewUrl = getUrl(basePath);
+          console.log(`✅ Uploaded to: ${previewUrl}`);
+          return { success: true, previewUrl, blobs: { created: files.length, reused: 0 } };
+        } catch (error) {
+          console.error('S3 upload error:', error);
+          throw new Error(`Failed to upload to S3: ${error.message}`);
+        }
+      }, { label: creativeName, onStateChange });
+
+      const result = await promise;
+      return { ...result, deployId: id };
+    },
+
+    async deployBatch({ message, deployments, rollbackOnFailure = false, onStateChange }) {
+      const { id, promise } = deployQueue.enqueue(queueKey, async () => {
+        const results = [];
+        // Only kept when the batch may have to be undone
+        const snapshot = rollbackOnFailure ? new Map() : null;
+
+        for (const deployment of deployments) {
+          try {
+            const { basePath } = await uploadFolder(deployment, snapshot);
+            results.push({
+              folderPath: basePath,
+              previewUrl: getUrl(basePath),
+              blobs: { created: deployment.files.length, reused: 0 },
+              success: true,
+            });
+          } catch (error) {
+            if (rollbackOnFailure) {
+              // S3 has no transactions, so undo what this batch already uploaded
+              await restoreSnapshot(snapshot).catch(err => console.error('S3 rollback failed:', err));
+              throw new Error(`Failed to upload to S3, batch rolled back: ${error.message}`);
+            }
+            results.push({ folderPath: deployment.folderPath, previewUrl: null, success: false, error: error.message });
+          }
+        }
+
+        console.log(`✅ Uploaded batch to S3: ${message}`);
+        return { success: true, deployments: results };
+      }, { label: message, onStateChange });
+
+      const result = await promise;
+      return { ...result, deployId: id };
+    },
+
+    async list() {
+      const response = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: keyPrefix,
+        Delimiter: '/',
+      }));
+
+      return (response.CommonPrefixes || []).map(({ Prefix }) => {
+        const name = Prefix.slice(keyPrefix.length).replace(/\/$/, '');
+        return { name, path: name, url: getUrl(name) };
+      });
+    },
+
+    async delete({ folderPaths, deployments = [], message, onStateChange }) {
+      const { id, promise } = deployQueue.enqueue(queueKey, async () => {
+        let removed = 0;
+        for (const folderPath of folderPaths) {
+          const basePath = sanitizePath(folderPath);
+          if (!basePath) continue;
+          const keys = await listKeys(`${keyPrefix}${basePath}/`);
+          await deleteKeys(keys);
+          removed += keys.length;
+        }
+        for (const deployment of deployments) {
+          await uploadFolder(deployment);
+        }
+        return { success: true, removed };
+      }, { label: message || `Delete ${folderPaths.join(', ')}`, onStateChange });
+
+      const result = await promise;
+      return { ...result, deployId: id };
+    },
+
+    async move({ folderPath, into, deployments = [], message, onStateChange }) {
+      const { id, promise } = deployQueue.enqueue(queueKey, async () => {
+        const basePath = sanitizePath(folderPath);
+        const subfolder = sanitizePath(into);
+        if (!basePath || !subfolder) {
+          throw new Error('Both the folder and the subfolder to move into are required');
+        }
+
+        const folderKey = `${toKey(basePath)}/`;
+        const keys = (await listKeys(folderKey))
+          .filter(key => !key.startsWith(`${folderKey}${subfolder}/`));
+
+        // S3 can't rename: copy everything first, then drop the originals the new files don't replace
+        for (const key of keys) {
+          await client.send(new CopyObjectCommand({
+            Bucket: bucket,
+            CopySource: `${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`,
+            Key: `${folderKey}${subfolder}/${key.slice(folderKey.length)}`,
+          }));
+        }
+        const written = new Set();
+        for (const deployment of deployments) {
+          const { basePath: deployPath } = await uploadFolder(deployment);
+          deployment.files.forEach(file => written.add(toKey(deployPath, file.path)));
+        }
+        await deleteKeys(keys.filter(key => !written.has(key)));
+
+        return { success: true, moved: keys.length };
+      }, { label: message || `Move ${folderPath} into ${into}`, onStateChange });
+
+      const result = await promise;
+      return { ...result, deployId: id };
+    },
+  };
+}
+
+module.exports = {
+  createS3Publisher,
+};
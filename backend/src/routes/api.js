@@ -1,6 +1,6 @@
 /**
  * API Routes
- * Handles file upload, preview generation, and listing endpoints
+ * Handles file upload, preview generation jobs, and listing endpoints
  */
 
 const express = require('express');
@@ -11,7 +11,12 @@ const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const zipProcessor = require('../services/zipProcessor');
 const templateGenerator = require('../services/templateGenerator');
-const githubService = require('../services/githubService');
+const deployQueue = require('../services/deployQueue');
+const jobManager = require('../services/jobManager');
+const adValidator = require('../services/adValidator');
+const themeService = require('../services/themeService');
+const { getRepository } = require('../storage');
+const { getPublisher } = require('../publishers');
 
 const router = express.Router();
 
@@ -66,35 +71,27 @@ const upload = multer({
   },
 });
 
-// In-memory storage for previews and clients (in production, use a database)
-const previews = [];
-const clients = [
-  { id: 'coca-cola', name: 'Coca-Cola', slug: 'coca-cola' },
-  { id: 'verizon', name: 'Verizon', slug: 'verizon' },
-  { id: 'google', name: 'Google', slug: 'google' },
-  { id: 'meta', name: 'Meta', slug: 'meta' },
-  { id: 'amazon', name: 'Amazon', slug: 'amazon' },
-  { id: 'nike', name: 'Nike', slug: 'nike' },
-  { id: 'apple', name: 'Apple', slug: 'apple' },
-];
-const campaigns = {};
-
 /**
  * GET /api/clients
  * Get list of clients
  */
-router.get('/clients', (req, res) => {
-  res.json({
-    success: true,
-    clients,
-  });
+router.get('/clients', async (req, res, next) => {
+  try {
+    const clients = await getRepository().clients.list();
+    res.json({
+      success: true,
+      clients,
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
  * POST /api/clients
- * Add a new client
+ * Add a new client, optionally with its branding ({ theme, logoUrl, colors, footerText })
  */
-router.post('/clients', (req, res) => {
+router.post('/clients', async (req, res, next) => {
   const { name } = req.body;
   if (!name) {
     return res.status(400).json({ error: 'Client name is required' });
@@ -103,36 +100,91 @@ router.post('/clients', (req, res) => {
   const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
   const id = slug;
   
-  // Check if client already exists
-  if (clients.find(c => c.id === id)) {
-    return res.status(400).json({ error: 'Client already exists' });
+  try {
+    const repo = getRepository();
+
+    // Check if client already exists
+    if (await repo.clients.get(id)) {
+      return res.status(400).json({ error: 'Client already exists' });
+    }
+    
+    const branding = themeService.validateBranding(req.body.branding);
+    const client = await repo.clients.create({ id, name, slug, branding });
+    
+    res.json({ success: true, client });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/clients/:clientId/branding
+ * Set the theme, logo, colors and footer text of a client's preview pages.
+ * The client's campaign indexes are republished right away; previews pick up
+ * the branding the next time they are published.
+ */
+router.put('/clients/:clientId/branding', async (req, res, next) => {
+  const { clientId } = req.params;
+
+  try {
+    const repo = getRepository();
+    const existing = await repo.clients.get(clientId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    // Saved only once the indexes are published with it
+    const branding = themeService.validateBranding(req.body);
+    const client = { ...existing, branding };
+
+    const campaigns = await repo.campaigns.list({ clientId });
+    const deployments = [];
+    for (const campaign of campaigns) {
+      const creatives = await getCampaignCreatives(client, campaign);
+      deployments.push(htmlDeployment('Campaign Index', `${client.slug}/${campaign.slug}`,
+        buildCampaignIndex(client, campaign, creatives)));
+    }
+
+    const deployResult = deployments.length > 0
+      ? await getPublisher().deployBatch({ message: `Update branding: ${client.name}`, deployments })
+      : null;
+    await repo.clients.update(clientId, { branding });
+
+    res.json({
+      success: true,
+      client,
+      republished: deployments.length,
+      deployId: deployResult?.deployId,
+    });
+  } catch (error) {
+    next(error);
   }
-  
-  const client = { id, name, slug };
-  clients.push(client);
-  
-  res.json({ success: true, client });
 });
 
 /**
  * GET /api/clients/:clientId/campaigns
  * Get campaigns for a client
  */
-router.get('/clients/:clientId/campaigns', (req, res) => {
+router.get('/clients/:clientId/campaigns', async (req, res, next) => {
   const { clientId } = req.params;
-  const clientCampaigns = campaigns[clientId] || [];
-  
-  res.json({
-    success: true,
-    campaigns: clientCampaigns,
-  });
+
+  try {
+    const clientCampaigns = await getRepository().campaigns.list({ clientId });
+    
+    res.json({
+      success: true,
+      campaigns: clientCampaigns,
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
  * POST /api/clients/:clientId/campaigns
  * Add a new campaign for a client
  */
-router.post('/clients/:clientId/campaigns', (req, res) => {
+router.post('/clients/:clientId/campaigns', async (req, res, next) => {
   const { clientId } = req.params;
   const { name } = req.body;
   
@@ -143,46 +195,122 @@ router.post('/clients/:clientId/campaigns', (req, res) => {
   const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
   const id = `${clientId}-${slug}`;
   
-  if (!campaigns[clientId]) {
-    campaigns[clientId] = [];
+  try {
+    const repo = getRepository();
+
+    if (!await repo.clients.get(clientId)) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    
+    // Check if campaign already exists
+    if (await repo.campaigns.find(c => c.clientId === clientId && c.slug === slug)) {
+      return res.status(400).json({ error: 'Campaign already exists for this client' });
+    }
+    
+    const campaign = await repo.campaigns.create({ 
+      id, 
+      name, 
+      slug,
+      clientId,
+      createdAt: new Date().toISOString(),
+    });
+    
+    res.json({ success: true, campaign });
+  } catch (error) {
+    next(error);
   }
-  
-  // Check if campaign already exists
-  if (campaigns[clientId].find(c => c.slug === slug)) {
-    return res.status(400).json({ error: 'Campaign already exists for this client' });
+});
+
+/**
+ * DELETE /api/clients/:clientId/campaigns/:campaignId
+ * Unpublish a campaign with all of its previews and remove their records
+ */
+router.delete('/clients/:clientId/campaigns/:campaignId', async (req, res, next) => {
+  const { clientId, campaignId } = req.params;
+
+  try {
+    const repo = getRepository();
+    const client = await repo.clients.get(clientId);
+    const campaign = await repo.campaigns.get(campaignId);
+
+    if (!client || !campaign || campaign.clientId !== clientId) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    // The campaign folder holds every creative plus the campaign index;
+    // the client and portfolio pages are refreshed in the same commit
+    const deleteResult = await getPublisher().delete({
+      folderPaths: [`${client.slug}/${campaign.slug}`],
+      deployments: await buildIndexDeployments(client, campaign, { deletingCampaign: true }),
+      message: `Delete campaign: ${campaign.name}`,
+    });
+
+    const campaignPreviews = await repo.previews.list({ campaignId });
+    for (const preview of campaignPreviews) {
+      await repo.previews.remove(preview.id);
+    }
+    await repo.campaigns.remove(campaignId);
+
+    res.json({
+      success: true,
+      deletedPreviews: campaignPreviews.length,
+      commitSha: deleteResult.commitSha,
+    });
+  } catch (error) {
+    next(error);
   }
-  
-  const campaign = { 
-    id, 
-    name, 
-    slug,
-    clientId,
-    createdAt: new Date().toISOString(),
-  };
-  campaigns[clientId].push(campaign);
-  
-  res.json({ success: true, campaign });
+});
+
+/**
+ * GET /api/ad-profiles
+ * List the ad-platform spec profiles creatives can be validated against
+ */
+router.get('/ad-profiles', (req, res) => {
+  res.json({ profiles: adValidator.listProfiles() });
+});
+
+/**
+ * GET /api/themes
+ * List the themes preview pages can be branded with
+ */
+router.get('/themes', (req, res) => {
+  res.json({ themes: themeService.listThemes() });
 });
 
 /**
  * POST /api/upload
- * Handle single ZIP file upload
+ * Handle single ZIP file upload and report how the creative measures up to the ad spec.
+ * A delivery package (ZIP of creative ZIPs) is expanded and answered like a batch upload,
+ * with isPackage set.
  */
-router.post('/upload', uploadLimiter, upload.single('zipFile'), (req, res) => {
+router.post('/upload', uploadLimiter, upload.single('zipFile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
+    if (!isKnownProfile(req.body.profile)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: `Unknown ad spec profile "${req.body.profile}"` });
+    }
+
+    const { isPackage, uploads } = await expandUpload(req.file, req.body.profile);
+    if (isPackage) {
+      return res.json({
+        success: true,
+        isPackage: true,
+        filename: req.file.originalname,
+        files: uploads,
+        count: uploads.length,
+      });
+    }
 
     res.json({
       success: true,
-      fileId: path.basename(req.file.filename, '.zip'),
-      filename: req.file.originalname,
-      size: req.file.size,
+      ...uploads[0],
     });
   } catch (error) {
     console.error('Upload error:', error);
-    res.status(500).json({ error: 'Failed to upload file' });
+    res.status(error.status || 500).json(uploadErrorBody(error, 'Failed to upload file'));
   }
 });
 
@@ -190,17 +318,32 @@ router.post('/upload', uploadLimiter, upload.single('zipFile'), (req, res) => {
  * POST /api/upload-batch
  * Handle multiple ZIP file uploads (batch)
  */
-router.post('/upload-batch', uploadLimiter, upload.array('zipFiles', 10), (req, res) => {
+router.post('/upload-batch', uploadLimiter, upload.array('zipFiles', 10), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No files uploaded' });
     }
+    if (!isKnownProfile(req.body.profile)) {
+      req.files.forEach(file => fs.unlinkSync(file.path));
+      return res.status(400).json({ error: `Unknown ad spec profile "${req.body.profile}"` });
+    }
 
-    const uploadedFiles = req.files.map(file => ({
-      fileId: path.basename(file.filename, '.zip'),
-      filename: file.originalname,
-      size: file.size,
-    }));
+    // Delivery packages contribute one entry per creative they contain.
+    // One unsafe ZIP rejects the whole batch, naming the file it came from.
+    const uploadedFiles = [];
+    for (const [i, file] of req.files.entries()) {
+      try {
+        const { uploads } = await expandUpload(file, req.body.profile);
+        uploadedFiles.push(...uploads);
+      } catch (error) {
+        removeFiles([
+          ...uploadedFiles.map(f => path.join(uploadDir, `${f.fileId}.zip`)),
+          ...req.files.slice(i + 1).map(f => f.path),
+        ]);
+        error.message = `${file.originalname}: ${error.message}`;
+        throw error;
+      }
+    }
 
     res.json({
       success: true,
@@ -209,16 +352,16 @@ router.post('/upload-batch', uploadLimiter, upload.array('zipFiles', 10), (req,
     });
   } catch (error) {
     console.error('Batch upload error:', error);
-    res.status(500).json({ error: 'Failed to upload files' });
+    res.status(error.status || 500).json(uploadErrorBody(error, 'Failed to upload files'));
   }
 });
 
 /**
  * POST /api/generate-preview
- * Process uploaded ZIP and deploy to GitHub Pages
+ * Start a background job that processes an uploaded ZIP and publishes the preview
  */
-router.post('/generate-preview', generateLimiter, async (req, res) => {
-  const { fileId, creativeName, folderPath, description, clientName, clientId, campaignId } = req.body;
+router.post('/generate-preview', generateLimiter, async (req, res, next) => {
+  const { fileId, creativeName, folderPath, description, clientName, clientId, campaignId, profile, clickUrl } = req.body;
 
   // Validate required fields
   if (!fileId || !creativeName) {
@@ -234,12 +377,22 @@ router.post('/generate-preview', generateLimiter, async (req, res) => {
     return res.status(404).json({ error: 'Uploaded file not found' });
   }
 
+  if (!isKnownProfile(profile)) {
+    return res.status(400).json({ error: `Unknown ad spec profile "${profile}"` });
+  }
+
+  if (!isValidClickUrl(clickUrl)) {
+    return res.status(400).json({ error: 'clickUrl must be an http(s) URL' });
+  }
+
   try {
+    const repo = getRepository();
+    const client = clientId ? await repo.clients.get(clientId) : null;
+    const campaign = campaignId ? await repo.campaigns.get(campaignId) : null;
+
     // Build folder path based on client/campaign structure
     let targetPath = folderPath;
     if (!targetPath && clientId && campaignId) {
-      const client = clients.find(c => c.id === clientId);
-      const campaign = campaigns[clientId]?.find(c => c.id === campaignId);
       if (client && campaign) {
         targetPath = `${client.slug}/${campaign.slug}/${creativeName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
       }
@@ -248,67 +401,39 @@ router.post('/generate-preview', generateLimiter, async (req, res) => {
       targetPath = creativeName.toLowerCase().replace(/\s+/g, '-');
     }
 
-    // Step 1: Extract and process ZIP file
-    console.log('📦 Processing ZIP file...');
-    const extractedFiles = await zipProcessor.extractZip(zipPath);
-
-    // Step 2: Generate preview templates
-    console.log('📝 Generating templates...');
-    const templates = await templateGenerator.generate({
-      creativeName,
-      folderPath: targetPath,
-      description,
-      clientName: clientName || clients.find(c => c.id === clientId)?.name || '',
-      files: extractedFiles,
-    });
-
-    // Step 3: Deploy to GitHub
-    console.log('🚀 Deploying to GitHub...');
-    const deployResult = await githubService.deploy({
-      creativeName,
-      folderPath: targetPath,
-      files: [...extractedFiles, ...templates],
+    const job = jobManager.createJob({
+      type: 'preview',
+      items: [{ fileId, filename: req.body.filename || `${fileId}.zip`, creativeName }],
     });
 
-    // Create preview record
-    const preview = {
-      id: uuidv4(),
+    runPreviewJob(job.id, {
+      zipPath,
       creativeName,
-      folderPath: targetPath,
+      targetPath,
       description,
-      clientName: clientName || clients.find(c => c.id === clientId)?.name || '',
+      clientName: clientName || client?.name || '',
       clientId,
       campaignId,
-      url: deployResult.previewUrl,
-      status: 'ready',
-      createdAt: new Date().toISOString(),
-    };
-
-    // Store preview (in-memory for MVP)
-    previews.unshift(preview);
-
-    // Clean up uploaded file
-    fs.unlinkSync(zipPath);
+      profile,
+      clickUrl,
+    });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      previewUrl: deployResult.previewUrl,
-      preview,
+      jobId: job.id,
+      job,
     });
   } catch (error) {
-    console.error('Generate preview error:', error);
-    res.status(500).json({ 
-      error: error.message || 'Failed to generate preview' 
-    });
+    next(error);
   }
 });
 
 /**
  * POST /api/generate-batch
- * Process multiple ZIP files and deploy as a campaign
+ * Start a background job that processes multiple ZIP files and deploys them as a campaign
  */
-router.post('/generate-batch', generateLimiter, async (req, res) => {
-  const { files, campaignName, description, clientId, campaignId } = req.body;
+router.post('/generate-batch', generateLimiter, async (req, res, next) => {
+  const { files, description, clientId, campaignId, rollbackOnFailure = false, profile, clickUrl } = req.body;
 
   if (!files || !Array.isArray(files) || files.length === 0) {
     return res.status(400).json({ error: 'No files provided for batch processing' });
@@ -318,105 +443,691 @@ router.post('/generate-batch', generateLimiter, async (req, res) => {
     return res.status(400).json({ error: 'Client and Campaign are required for batch upload' });
   }
 
-  const client = clients.find(c => c.id === clientId);
-  const campaign = campaigns[clientId]?.find(c => c.id === campaignId);
+  if (!isKnownProfile(profile)) {
+    return res.status(400).json({ error: `Unknown ad spec profile "${profile}"` });
+  }
 
-  if (!client || !campaign) {
-    return res.status(400).json({ error: 'Invalid client or campaign' });
+  if (!isValidClickUrl(clickUrl)) {
+    return res.status(400).json({ error: 'clickUrl must be an http(s) URL' });
   }
 
-  const results = [];
+  try {
+    const repo = getRepository();
+    const client = await repo.clients.get(clientId);
+    const campaign = await repo.campaigns.get(campaignId);
+
+    if (!client || !campaign || campaign.clientId !== clientId) {
+      return res.status(400).json({ error: 'Invalid client or campaign' });
+    }
+
+    const job = jobManager.createJob({
+      type: 'batch',
+      items: files.map(({ fileId, filename }) => ({
+        fileId,
+        filename,
+        // Extract creative name from filename (remove .zip extension)
+        creativeName: path.basename(filename, '.zip'),
+      })),
+    });
+
+    runBatchJob(job.id, {
+      description,
+      client,
+      campaign,
+      // Form posts send booleans as strings
+      rollbackOnFailure: rollbackOnFailure === true || rollbackOnFailure === 'true',
+      profile,
+      clickUrl,
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId
+ * Get the current state of a generation job
+ */
+router.get('/jobs/:jobId', (req, res) => {
+  const job = jobManager.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({ success: true, job });
+});
+
+/**
+ * GET /api/jobs/:jobId/events
+ * Stream job progress as Server-Sent Events until the job finishes
+ */
+router.get('/jobs/:jobId/events', (req, res) => {
+  const job = jobManager.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const send = (snapshot) => {
+    res.write(`event: job\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    if (jobManager.isFinished(snapshot)) {
+      close();
+      res.end();
+    }
+  };
+
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const unsubscribe = jobManager.subscribe(job.id, send);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  req.on('close', close);
+
+  send(job);
+});
+
+/**
+ * Extract, validate and template a single creative, reporting each stage on the job
+ * @returns {Promise<Object>} Files ready to deploy (creative assets plus generated templates), the spec report,
+ * the preview's size and the creatives found in the delivery
+ */
+async function buildCreative(jobId, index, {
+  zipPath, creativeName, targetPath, version, description, clientName, branding, profile, clickUrl,
+}) {
+  // Step 1: Extract and process ZIP file
+  jobManager.updateItem(jobId, index, { stage: 'extracting', detail: '' });
+  console.log(`📦 Processing: ${creativeName}`);
+  const extractedFiles = await zipProcessor.extractZip(zipPath);
+
+  // Spec problems are reported, not enforced: trafficking decides what to do with them
+  const validation = adValidator.validate(extractedFiles, { profile });
+
+  // Multi-size deliveries hold several creatives; the largest one sizes the preview.
+  // Video deliveries (raw videos or a VAST tag) play in a VAST player page.
+  // Static deliveries (images only) are banners, each shown through a generated page.
+  let creatives = zipProcessor.detectCreatives(extractedFiles);
+  if (creatives.length === 0) {
+    const video = zipProcessor.detectVideo(extractedFiles);
+    creatives = video ? [video] : zipProcessor.detectBanners(extractedFiles);
+  }
+  const dimensions = (creatives.length > 0 ? creatives[0].dimensions : zipProcessor.detectDimensions(extractedFiles)) ||
+    getNameDimensions(creativeName);
+  jobManager.updateItem(jobId, index, { validation, dimensions });
+
+  // Step 2: Generate preview templates
+  jobManager.updateItem(jobId, index, {
+    stage: 'generating',
+    detail: `${extractedFiles.length} files${creatives.length > 1 ? `, ${creatives.length} creatives` : ''}`,
+  });
+  const templates = await templateGenerator.generate({
+    creativeName,
+    folderPath: targetPath,
+    description,
+    clientName,
+    files: extractedFiles,
+    dimensions,
+    creatives,
+    clickUrl,
+    // Generated VAST tags are used outside the preview, so their media URLs must be absolute
+    baseUrl: getPublisher().getUrl(`${targetPath}/v${version}`),
+    branding,
+  });
+
+  // Creative files get their own folder so they can't collide with the generated wrapper
+  const creativeFiles = extractedFiles.map(f => ({ ...f, path: `${templateGenerator.CREATIVE_DIR}/${f.path}` }));
+
+  return { files: [...creativeFiles, ...templates], validation, dimensions, creatives };
+}
+
+/**
+ * Validate an uploaded ZIP against an ad spec profile; unreadable archives fail the report
+ * @param {string} zipPath - Uploaded ZIP location
+ * @param {string} [profile] - Profile id
+ * @returns {Promise<Object>} Validation report
+ * @throws {ZipError} If the archive is unsafe to extract
+ * @throws {Error} If extraction fails for any reason other than an unreadable archive
+ */
+async function validateUpload(zipPath, profile) {
+  try {
+    const files = await zipProcessor.extractZip(zipPath);
+    return adValidator.validate(files, { profile });
+  } catch (error) {
+    // Unsafe archives are rejected outright instead of being published with a failed report,
+    // and only a corrupt or empty archive is the upload's fault
+    if (error instanceof zipProcessor.ZipError || !zipProcessor.isReadError(error)) throw error;
+    return adValidator.invalidArchiveReport(error, { profile });
+  }
+}
+
+/**
+ * Describe an uploaded ZIP for the client. Delivery packages are expanded into one
+ * stored upload per creative, exactly as if each had been uploaded on its own.
+ * @param {Object} file - Multer file
+ * @param {string} [profile] - Ad spec profile id
+ * @returns {Promise<Object>} { isPackage, uploads: [{ fileId, filename, size, validation }] }
+ */
+async function expandUpload(file, profile) {
+  const written = [];
+  try {
+    const creatives = zipProcessor.expandPackage(file.path);
+
+    if (!creatives) {
+      return {
+        isPackage: false,
+        uploads: [{
+          fileId: path.basename(file.filename, '.zip'),
+          filename: file.originalname,
+          size: file.size,
+          validation: await validateUpload(file.path, profile),
+        }],
+      };
+    }
+
+    console.log(`📦 Expanding package ${file.originalname} into ${creatives.length} creatives`);
+    const uploads = [];
+    for (const { name, buffer } of creatives) {
+      const fileId = uuidv4();
+      const zipPath = path.join(uploadDir, `${fileId}.zip`);
+      fs.writeFileSync(zipPath, buffer);
+      written.push(zipPath);
+
+      uploads.push({
+        fileId,
+        filename: `${name}.zip`,
+        size: buffer.length,
+        package: file.originalname,
+        validation: await validateUpload(zipPath, profile),
+      });
+    }
+    fs.unlinkSync(file.path);
+
+    return { isPackage: true, uploads };
+  } catch (error) {
+    // A rejected upload leaves nothing behind
+    removeFiles([file.path, ...written]);
+    throw error;
+  }
+}
+
+/**
+ * Delete files that may or may not still exist
+ */
+function removeFiles(filePaths) {
+  filePaths.forEach(filePath => fs.rmSync(filePath, { force: true }));
+}
+
+/**
+ * Response body for a failed upload. Client errors (bad profile, unsafe ZIP) keep their
+ * message and code; anything else is reported generically
+ */
+function uploadErrorBody(error, fallback) {
+  if (!error.status) return { error: fallback };
+  return { error: error.message, code: error.code };
+}
+
+/**
+ * Machine-readable code for errors the client can act on (currently rejected ZIPs)
+ */
+function getErrorCode(error) {
+  return error instanceof zipProcessor.ZipError ? error.code : undefined;
+}
+
+/**
+ * Whether a click-through URL (if any) is an absolute http(s) URL
+ */
+function isValidClickUrl(clickUrl) {
+  if (!clickUrl) return true;
+  try {
+    return ['http:', 'https:'].includes(new URL(clickUrl).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a requested profile id (if any) exists
+ */
+function isKnownProfile(profile) {
+  return !profile || (typeof profile === 'string' && Object.hasOwn(adValidator.PROFILES, profile));
+}
+
+/**
+ * Build a deploy queue listener that shows the queue position on job items
+ * @param {string} jobId - Job id
+ * @param {Array<number>} indexes - Items waiting on the deployment
+ */
+function trackDeployState(jobId, indexes) {
+  return (deploy) => {
+    const detail = deploy.state === 'queued' ? `waiting in deploy queue (#${deploy.position})` : '';
+    indexes.forEach(index => jobManager.updateItem(jobId, index, { detail }));
+  };
+}
+
+/**
+ * Run a single-preview job in the background
+ */
+async function runPreviewJob(jobId, {
+  zipPath, creativeName, targetPath, description, clientName, clientId, campaignId, profile, clickUrl,
+}) {
+  jobManager.updateJob(jobId, { status: 'running' });
+
+  try {
+    // Re-uploads of the same creative become a new version of its preview
+    const existing = await getRepository().previews.find(p => p.folderPath === targetPath);
+    const version = getNextVersion(existing);
+    const client = clientId ? await getRepository().clients.get(clientId) : null;
+
+    const { files, validation, dimensions, creatives } = await buildCreative(jobId, 0, {
+      zipPath,
+      creativeName,
+      targetPath,
+      version,
+      description,
+      clientName,
+      branding: client?.branding,
+      profile,
+      clickUrl,
+    });
+
+    // Step 3: Deploy to the configured publisher, together with the refreshed campaign index
+    jobManager.updateItem(jobId, 0, { stage: 'deploying', detail: `v${version}` });
+    const current = await versionLegacyPreview(existing, { onStateChange: trackDeployState(jobId, [0]) });
+    const creativeDeployment = {
+      creativeName,
+      folderPath: targetPath,
+      files: buildVersionedFiles(files, { creativeName, version }),
+    };
+    const deployResult = await deployWithIndexes(creativeDeployment, {
+      clientId,
+      campaignId,
+      dimensions,
+      onStateChange: trackDeployState(jobId, [0]),
+    });
+
+    const preview = await savePreviewVersion(current, {
+      creativeName,
+      folderPath: targetPath,
+      description,
+      clientName,
+      clientId,
+      campaignId,
+      url: deployResult.previewUrl,
+      version,
+      validation,
+      dimensions,
+      creatives,
+    });
+
+    // Clean up uploaded file
+    fs.unlinkSync(zipPath);
+
+    jobManager.updateItem(jobId, 0, { stage: 'done', previewUrl: deployResult.previewUrl });
+    jobManager.updateJob(jobId, {
+      status: 'done',
+      result: {
+        previewUrl: deployResult.previewUrl,
+        deployId: deployResult.deployId,
+        blobs: deployResult.blobs,
+        validation,
+        dimensions,
+        preview,
+      },
+    });
+  } catch (error) {
+    console.error('Generate preview error:', error);
+    const errorCode = getErrorCode(error);
+    jobManager.updateItem(jobId, 0, { stage: 'failed', error: error.message, errorCode });
+    jobManager.updateJob(jobId, { status: 'failed', error: error.message || 'Failed to generate preview', errorCode });
+  }
+}
+
+/**
+ * Run a batch job in the background: build every creative, then publish them
+ * together with the campaign index in a single commit
+ */
+async function runBatchJob(jobId, { description, client, campaign, rollbackOnFailure, profile, clickUrl }) {
+  const { items } = jobManager.getJob(jobId);
+  const built = [];
   const errors = [];
 
-  console.log(`📦 Starting batch processing of ${files.length} files...`);
+  jobManager.updateJob(jobId, { status: 'running' });
+  console.log(`📦 Starting batch processing of ${items.length} files...`);
+
+  const failItem = (index, error, errorCode) => {
+    const { fileId, filename } = items[index];
+    errors.push({ fileId, filename, error, errorCode });
+    jobManager.updateItem(jobId, index, { stage: 'failed', error, errorCode });
+  };
 
-  for (const file of files) {
-    const { fileId, filename } = file;
+  for (const [index, item] of items.entries()) {
+    const { fileId, filename, creativeName } = item;
     const zipPath = path.join(uploadDir, `${fileId}.zip`);
 
     if (!fs.existsSync(zipPath)) {
-      errors.push({ fileId, filename, error: 'File not found' });
+      failItem(index, 'File not found');
       continue;
     }
 
     try {
-      // Extract creative name from filename (remove .zip extension)
-      const creativeName = path.basename(filename, '.zip');
       const creativeSlug = creativeName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
       const targetPath = `${client.slug}/${campaign.slug}/${creativeSlug}`;
 
-      // Step 1: Extract ZIP
-      console.log(`📦 Processing: ${filename}`);
-      const extractedFiles = await zipProcessor.extractZip(zipPath);
+      const existing = await getRepository().previews.find(p => p.folderPath === targetPath);
+      const version = getNextVersion(existing);
 
-      // Step 2: Generate templates
-      const templates = await templateGenerator.generate({
+      const { files, validation, dimensions, creatives } = await buildCreative(jobId, index, {
+        zipPath,
         creativeName,
-        folderPath: targetPath,
+        targetPath,
+        version,
         description,
         clientName: client.name,
-        files: extractedFiles,
+        branding: client.branding,
+        profile,
+        clickUrl,
       });
 
-      // Step 3: Deploy to GitHub
-      const deployResult = await githubService.deploy({
-        creativeName,
-        folderPath: targetPath,
-        files: [...extractedFiles, ...templates],
+      built.push({
+        index, fileId, filename, creativeName, zipPath, targetPath, files, validation, dimensions, creatives, existing, version,
       });
+    } catch (error) {
+      console.error(`❌ Failed to process ${filename}:`, error.message);
+      failItem(index, error.message, getErrorCode(error));
+    }
+  }
 
-      // Create preview record
-      const preview = {
-        id: uuidv4(),
-        creativeName,
-        folderPath: targetPath,
-        description,
-        clientName: client.name,
-        clientId,
-        campaignId,
-        url: deployResult.previewUrl,
-        status: 'ready',
-        createdAt: new Date().toISOString(),
-      };
+  // Campaign is all-or-nothing: don't publish anything if a creative failed
+  if (rollbackOnFailure && errors.length > 0) {
+    const failedCount = errors.length;
+    built.forEach(({ index }) => failItem(index, 'Not published: another creative in the batch failed'));
+    jobManager.updateJob(jobId, {
+      status: 'failed',
+      error: `${failedCount} of ${items.length} creatives failed, nothing was published`,
+      result: { processed: 0, failed: errors.length, results: [], errors },
+    });
+    return;
+  }
 
-      previews.unshift(preview);
-      results.push({
-        fileId,
-        filename,
-        creativeName,
-        previewUrl: deployResult.previewUrl,
-        success: true,
-      });
+  const results = [];
+  let commitSha = null;
+  let blobs = null;
 
-      // Clean up
-      fs.unlinkSync(zipPath);
-      console.log(`✅ Deployed: ${creativeName}`);
+  if (built.length > 0) {
+    const builtIndexes = built.map(b => b.index);
+    builtIndexes.forEach(index => jobManager.updateItem(jobId, index, { stage: 'deploying', detail: '' }));
 
+    let deployResult = null;
+    try {
+      // Previews published before versioning move into v1/ first, so this batch doesn't replace them
+      for (const creative of built) {
+        creative.existing = await versionLegacyPreview(creative.existing, {
+          onStateChange: trackDeployState(jobId, [creative.index]),
+        });
+      }
+
+      // Step 3: Deploy every creative plus the index pages in one commit
+      const indexDeployments = await buildIndexDeployments(client, campaign, {
+        pending: built.map(({ creativeName, targetPath, dimensions }) => ({ creativeName, folderPath: targetPath, dimensions })),
+      });
+      deployResult = await getPublisher().deployBatch({
+        message: `Deploy campaign: ${campaign.name} (${built.length} creatives)`,
+        rollbackOnFailure,
+        deployments: [
+          ...built.map(({ creativeName, targetPath, files, version }) => ({
+            creativeName,
+            folderPath: targetPath,
+            files: buildVersionedFiles(files, { creativeName, version }),
+          })),
+          ...indexDeployments,
+        ],
+        onStateChange: trackDeployState(jobId, builtIndexes),
+      });
+      commitSha = deployResult.commitSha;
+      blobs = deployResult.blobs;
     } catch (error) {
-      console.error(`❌ Failed to process ${filename}:`, error.message);
-      errors.push({ fileId, filename, error: error.message });
+      console.error('❌ Batch deploy failed:', error.message);
+      built.forEach(({ index }) => failItem(index, error.message));
+    }
+
+    if (deployResult) {
+      for (const [i, creative] of built.entries()) {
+        const {
+          index, fileId, filename, creativeName, zipPath, targetPath, validation, dimensions, creatives, existing, version,
+        } = creative;
+        const deployment = deployResult.deployments[i];
+
+        if (!deployment.success) {
+          failItem(index, deployment.error);
+          continue;
+        }
+
+        // The creative is live from here on: record that before the bookkeeping, which can't unpublish it
+        results.push({
+          fileId,
+          filename,
+          creativeName,
+          previewUrl: deployment.previewUrl,
+          validation,
+          dimensions,
+          success: true,
+        });
+        jobManager.updateItem(jobId, index, { stage: 'done', detail: '', previewUrl: deployment.previewUrl });
+        console.log(`✅ Deployed: ${creativeName}`);
+
+        try {
+          await savePreviewVersion(existing, {
+            creativeName,
+            folderPath: targetPath,
+            description,
+            clientName: client.name,
+            clientId: client.id,
+            campaignId: campaign.id,
+            url: deployment.previewUrl,
+            version,
+            validation,
+            dimensions,
+            creatives,
+          });
+
+          // Clean up
+          fs.unlinkSync(zipPath);
+        } catch (error) {
+          console.error(`⚠️  Published ${creativeName} but failed to record it:`, error.message);
+          jobManager.updateItem(jobId, index, { detail: `Published, but not recorded: ${error.message}` });
+        }
+      }
     }
   }
 
-  // Generate campaign index page
-  const campaignUrl = `https://${process.env.GITHUB_OWNER}.github.io/${process.env.GITHUB_REPO}/${client.slug}/${campaign.slug}/`;
-  
-  // Create campaign index
-  try {
-    await generateCampaignIndex(client, campaign, results);
-  } catch (err) {
-    console.error('Failed to generate campaign index:', err);
+  const campaignUrl = getPublisher().getUrl(`${client.slug}/${campaign.slug}`);
+
+  jobManager.updateJob(jobId, {
+    status: results.length > 0 ? 'done' : 'failed',
+    error: results.length > 0 ? null : 'No creatives were published',
+    result: {
+      campaignUrl,
+      commitSha,
+      blobs,
+      processed: results.length,
+      failed: errors.length,
+      results,
+      errors: errors.length > 0 ? errors : undefined,
+    },
+  });
+}
+
+/**
+ * Deploy a single creative; when it belongs to a campaign, the campaign, client
+ * and portfolio index pages are regenerated and published in the same commit
+ * @returns {Promise<Object>} Deployment result with the creative's preview URL
+ */
+async function deployWithIndexes(deployment, { clientId, campaignId, dimensions, message, onStateChange }) {
+  const repo = getRepository();
+  const client = clientId ? await repo.clients.get(clientId) : null;
+  const campaign = campaignId ? await repo.campaigns.get(campaignId) : null;
+
+  if (!client || !campaign) {
+    return getPublisher().deploy({ ...deployment, onStateChange });
   }
 
-  res.json({
-    success: true,
-    campaignUrl,
-    processed: results.length,
-    failed: errors.length,
-    results,
-    errors: errors.length > 0 ? errors : undefined,
+  const indexDeployments = await buildIndexDeployments(client, campaign, {
+    pending: [{ creativeName: deployment.creativeName, folderPath: deployment.folderPath, dimensions }],
   });
-});
+  const result = await getPublisher().deployBatch({
+    message: message || `Deploy preview: ${deployment.creativeName}`,
+    deployments: [deployment, ...indexDeployments],
+    rollbackOnFailure: true,
+    onStateChange,
+  });
+
+  return { ...result, previewUrl: result.deployments[0].previewUrl };
+}
+
+/**
+ * Next version number for a preview folder (1 for a new preview)
+ */
+function getNextVersion(existing) {
+  // A preview published before versioning becomes v1 (see versionLegacyPreview)
+  if (isLegacyPreview(existing)) return 2;
+  const versions = existing?.versions || [];
+  return versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+}
+
+/**
+ * Whether a preview was published before versioning: its files sit at the folder root
+ * and it has no recorded versions
+ */
+function isLegacyPreview(preview) {
+  return Boolean(preview) && (preview.versions || []).length === 0;
+}
+
+/**
+ * Move a pre-versioning preview's files into v1/, point its canonical link there and record
+ * it as version 1, so the next upload doesn't replace it and it can still be rolled back to
+ * @param {Object|null} existing - Preview already published at the folder
+ * @param {Object} [options] - { onStateChange } for the move's queue status
+ * @returns {Promise<Object|null>} The preview record, versioned if it wasn't
+ */
+async function versionLegacyPreview(existing, { onStateChange } = {}) {
+  if (!isLegacyPreview(existing)) return existing;
+
+  const { creativeName, folderPath } = existing;
+  await getPublisher().move({
+    folderPath,
+    into: 'v1',
+    deployments: [{ creativeName, folderPath, files: [buildRedirectFile(creativeName, 1)] }],
+    message: `Move ${creativeName} into v1`,
+    onStateChange,
+  });
+
+  return getRepository().previews.update(existing.id, {
+    currentVersion: 1,
+    versions: [{
+      version: 1,
+      url: getPublisher().getUrl(`${folderPath}/v1`),
+      description: existing.description || '',
+      dimensions: existing.dimensions,
+      creatives: existing.creatives,
+      createdAt: existing.createdAt,
+    }],
+  });
+}
+
+/**
+ * Place a version's files in its v<n>/ subfolder and add the canonical
+ * index.html that redirects to it
+ * @returns {Array} Files to deploy at the preview folder
+ */
+function buildVersionedFiles(files, { creativeName, version }) {
+  return [
+    ...files.map(file => ({ ...file, path: `v${version}/${file.path}` })),
+    buildRedirectFile(creativeName, version),
+  ];
+}
+
+/**
+ * Canonical index.html pointing at a version folder
+ */
+function buildRedirectFile(creativeName, version) {
+  return {
+    path: 'index.html',
+    content: templateGenerator.generateRedirectHtml({ creativeName, target: `v${version}/` }),
+    encoding: 'utf-8',
+    type: 'html',
+  };
+}
+
+/**
+ * Create the preview record, or add a version to the existing record for the folder
+ * @param {Object|null} existing - Preview already published at this folder
+ * @param {Object} details - Preview fields plus the deployed version number
+ * @returns {Promise<Object>} Saved preview
+ */
+async function savePreviewVersion(existing, {
+  creativeName, folderPath, description, clientName, clientId, campaignId, url, version, validation, dimensions, creatives = [],
+}) {
+  const repo = getRepository();
+  const now = new Date().toISOString();
+  const entry = {
+    version,
+    url: getPublisher().getUrl(`${folderPath}/v${version}`),
+    description: description || '',
+    dimensions,
+    creatives,
+    createdAt: now,
+  };
+
+  if (existing) {
+    return repo.previews.update(existing.id, {
+      creativeName,
+      description,
+      clientName,
+      url,
+      status: 'ready',
+      validation,
+      dimensions,
+      creatives,
+      entryPath: creatives[0]?.entryPath ?? null,
+      currentVersion: version,
+      versions: [...(existing.versions || []), entry],
+      updatedAt: now,
+    });
+  }
+
+  return repo.previews.create({
+    id: uuidv4(),
+    creativeName,
+    folderPath,
+    description,
+    clientName,
+    clientId,
+    campaignId,
+    url,
+    status: 'ready',
+    validation,
+    dimensions,
+    creatives,
+    entryPath: creatives[0]?.entryPath ?? null,
+    currentVersion: version,
+    versions: [entry],
+    createdAt: now,
+    updatedAt: now,
+  });
+}
 
 /**
  * Parse creative name to extract size, locale, and base name
@@ -442,248 +1153,310 @@ function parseCreativeName(name) {
 }
 
 /**
- * Group creatives by size for tabbed display
+ * Size from a creative name like "Banner_300x250", for creatives whose content doesn't say
+ * @returns {Object|null} { width, height, source }
  */
-function groupCreativesBySize(creatives) {
-  const groups = {};
-  
-  creatives.forEach(c => {
-    const parsed = parseCreativeName(c.creativeName);
-    const sizeKey = parsed.sizeStr || 'Other';
-    
-    if (!groups[sizeKey]) {
-      groups[sizeKey] = {
-        size: sizeKey,
-        width: parsed.width,
-        height: parsed.height,
-        creatives: []
-      };
-    }
-    
-    groups[sizeKey].creatives.push({
-      ...c,
-      locale: parsed.locale,
-      baseName: parsed.baseName,
-      slug: c.creativeName.toLowerCase().replace(/[^a-z0-9]+/g, '-')
-    });
-  });
-  
-  // Sort by size (larger first)
-  return Object.values(groups).sort((a, b) => {
-    if (!a.width) return 1;
-    if (!b.width) return -1;
-    return (b.width * b.height) - (a.width * a.height);
+function getNameDimensions(name) {
+  const { width, height } = parseCreativeName(name);
+  return width ? { width, height, source: 'filename' } : null;
+}
+
+/**
+ * A creative's size: detected from its content when it was published, otherwise from its name
+ * @returns {Object|null} { width, height }
+ */
+function getCreativeSize(creative) {
+  return creative.dimensions || getNameDimensions(creative.creativeName);
+}
+
+/**
+ * Build the campaign index page listing all creatives with inline previews and tabs
+ * @returns {string} Campaign index HTML
+ */
+function buildCampaignIndex(client, campaign, creatives) {
+  return templateGenerator.generateCampaignIndexHtml({
+    client,
+    campaign,
+    creatives: creatives.map(c => ({
+      creativeName: c.creativeName,
+      slug: c.slug,
+      locale: parseCreativeName(c.creativeName).locale,
+      dimensions: getCreativeSize(c),
+    })),
+    theme: themeService.resolveTheme(client.branding),
   });
 }
 
 /**
- * Generate campaign index page listing all creatives with inline previews and tabs
+ * Creatives shown on a campaign's index: stored previews plus any being published now
+ * @param {Object} client - Client record
+ * @param {Object} campaign - Campaign record
+ * @param {Array} [pending] - Creatives being published in the same commit ({ creativeName, folderPath })
+ * @returns {Promise<Array>} Creatives with their slug relative to the campaign folder
  */
-async function generateCampaignIndex(client, campaign, creatives) {
-  const sizeGroups = groupCreativesBySize(creatives);
-  const locales = [...new Set(creatives.map(c => parseCreativeName(c.creativeName).locale))];
-  
-  const indexHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${campaign.name} - ${client.name}</title>
-  <style>
-    * { margin: 0; padding: 0; }
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      background: #111;
-      min-height: 100vh;
-      color: #888;
-      padding: 20px;
-    }
-    
-    /* Minimal Header */
-    header {
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-      margin-bottom: 30px;
-      padding-bottom: 15px;
-      border-bottom: 1px solid #222;
-    }
-    .header-left a { color: #555; text-decoration: none; font-size: 0.8rem; }
-    .header-left a:hover { color: #888; }
-    .header-center { text-align: center; flex: 1; }
-    .header-center h1 { font-size: 1rem; font-weight: 400; color: #aaa; }
-    .header-center span { font-size: 0.75rem; color: #555; }
-    .header-right { font-size: 0.75rem; color: #444; }
-    
-    /* Locale Filter */
-    .filters {
-      display: flex;
-      justify-content: center;
-      gap: 6px;
-      margin-bottom: 30px;
-    }
-    .filter-btn {
-      padding: 5px 12px;
-      background: transparent;
-      border: 1px solid #333;
-      color: #666;
-      border-radius: 3px;
-      cursor: pointer;
-      font-size: 0.75rem;
-    }
-    .filter-btn:hover { border-color: #555; color: #999; }
-    .filter-btn.active { border-color: #0af; color: #0af; }
-    
-    /* Size Section */
-    .size-section { margin-bottom: 50px; }
-    .size-label {
-      font-size: 0.7rem;
-      color: #444;
-      text-transform: uppercase;
-      letter-spacing: 1px;
-      margin-bottom: 20px;
-    }
-    
-    /* Creatives Grid - align to bottom for mixed heights */
-    .creatives-grid {
-      display: flex;
-      flex-wrap: wrap;
-      gap: 30px;
-      align-items: flex-end;
-    }
-    
-    /* Each creative wrapper */
-    .creative {
-      display: inline-flex;
-      flex-direction: column;
-      align-items: center;
-    }
-    .creative.hidden { display: none !important; }
-    
-    /* Info bar below - separate from iframe */
-    .creative-info {
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      margin-top: 10px;
-      gap: 8px;
+async function getCampaignCreatives(client, campaign, pending = []) {
+  const campaignPath = `${client.slug}/${campaign.slug}`;
+  const now = new Date().toISOString();
+  const pendingPaths = new Set(pending.map(c => c.folderPath));
+  const stored = await getRepository().previews.list({ campaignId: campaign.id });
+
+  // Only creatives published inside the campaign folder can be linked relatively
+  return [
+    ...pending.map(c => ({ ...c, updatedAt: now })),
+    ...stored.filter(p => !pendingPaths.has(p.folderPath)),
+  ]
+    .filter(c => c.folderPath.startsWith(`${campaignPath}/`))
+    .map(c => ({ ...c, slug: c.folderPath.slice(campaignPath.length + 1) }));
+}
+
+/**
+ * Summarize a client's campaigns for the client and portfolio index pages
+ * @param {Object} client - Client record
+ * @param {Object} options - Summary options
+ * @param {Object} [options.campaign] - Campaign with pending changes
+ * @param {Array} [options.pending] - Creatives being published into that campaign
+ * @param {string} [options.excludeCampaignId] - Campaign being deleted
+ * @returns {Promise<Array>} Campaign summaries, most recently updated first
+ */
+async function summarizeCampaigns(client, { campaign, pending = [], excludeCampaignId } = {}) {
+  const campaigns = (await getRepository().campaigns.list({ clientId: client.id }))
+    .filter(c => c.id !== excludeCampaignId);
+
+  const summaries = [];
+  for (const c of campaigns) {
+    const creatives = await getCampaignCreatives(client, c, c.id === campaign?.id ? pending : []);
+    const latest = creatives.reduce((newest, creative) => {
+      const updated = creative.updatedAt || creative.createdAt;
+      return !newest || updated > (newest.updatedAt || newest.createdAt) ? creative : newest;
+    }, null);
+    const size = latest ? getCreativeSize(latest) : null;
+
+    summaries.push({
+      name: c.name,
+      slug: c.slug,
+      creativeCount: creatives.length,
+      updatedAt: latest ? latest.updatedAt || latest.createdAt : c.createdAt,
+      thumbnail: latest ? { src: `${c.slug}/${latest.slug}/`, width: size?.width, height: size?.height } : null,
+    });
+  }
+
+  return summaries.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * Build the index pages affected by a change to a campaign: the campaign index,
+ * the client landing page and (when PUBLISH_ROOT_INDEX=true) the portfolio index
+ * @param {Object} client - Client record
+ * @param {Object} campaign - Campaign record
+ * @param {Object} [options] - Index options
+ * @param {Array} [options.pending] - Creatives being published in the same commit ({ creativeName, folderPath })
+ * @param {boolean} [options.deletingCampaign] - The campaign itself is being removed
+ * @returns {Promise<Array>} Deployments ({ creativeName, folderPath, files }) for the publisher
+ */
+async function buildIndexDeployments(client, campaign, { pending = [], deletingCampaign = false } = {}) {
+  const deployments = [];
+  const hasRootIndex = process.env.PUBLISH_ROOT_INDEX === 'true';
+  const excludeCampaignId = deletingCampaign ? campaign.id : undefined;
+
+  if (!deletingCampaign) {
+    const creatives = await getCampaignCreatives(client, campaign, pending);
+    deployments.push(htmlDeployment('Campaign Index', `${client.slug}/${campaign.slug}`,
+      buildCampaignIndex(client, campaign, creatives)));
+  }
+
+  const campaigns = await summarizeCampaigns(client, { campaign, pending, excludeCampaignId });
+  deployments.push(htmlDeployment('Client Index', client.slug,
+    templateGenerator.generateClientIndexHtml({ client, campaigns, hasRootIndex })));
+
+  if (hasRootIndex) {
+    const clients = [];
+    for (const c of await getRepository().clients.list()) {
+      const summaries = c.id === client.id
+        ? campaigns
+        : await summarizeCampaigns(c);
+      if (summaries.length === 0) continue;
+
+      const latest = summaries[0];
+      clients.push({
+        name: c.name,
+        slug: c.slug,
+        campaignCount: summaries.length,
+        creativeCount: summaries.reduce((sum, summary) => sum + summary.creativeCount, 0),
+        updatedAt: latest.updatedAt,
+        thumbnail: latest.thumbnail && { ...latest.thumbnail, src: `${c.slug}/${latest.thumbnail.src}` },
+      });
     }
-    .creative-info .locale {
-      font-size: 0.65rem;
-      color: #0af;
-      text-transform: uppercase;
-      flex-shrink: 0;
+
+    clients.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    deployments.push(htmlDeployment('Portfolio Index', '', templateGenerator.generateRootIndexHtml({ clients })));
+  }
+
+  return deployments;
+}
+
+/**
+ * A deployment containing a single generated index.html
+ */
+function htmlDeployment(creativeName, folderPath, html) {
+  return {
+    creativeName,
+    folderPath,
+    files: [{ path: 'index.html', content: html, encoding: 'utf-8', type: 'html' }],
+  };
+}
+
+/**
+ * GET /api/previews
+ * List all generated previews
+ */
+router.get('/previews', async (req, res, next) => {
+  try {
+    const previews = await getRepository().previews.list();
+    res.json({
+      success: true,
+      previews,
+      count: previews.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/previews/:previewId/versions
+ * List every published version of a preview
+ */
+router.get('/previews/:previewId/versions', async (req, res, next) => {
+  try {
+    const preview = await getRepository().previews.get(req.params.previewId);
+    if (!preview) {
+      return res.status(404).json({ error: 'Preview not found' });
     }
-    .creative-info .name {
-      font-size: 0.6rem;
-      color: #444;
-      white-space: nowrap;
-      overflow: hidden;
-      text-overflow: ellipsis;
-      flex: 1;
-      text-align: center;
+
+    res.json({
+      success: true,
+      currentVersion: preview.currentVersion,
+      versions: preview.versions || [],
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/previews/:previewId/rollback
+ * Point the preview's canonical link at an earlier version
+ */
+router.post('/previews/:previewId/rollback', generateLimiter, async (req, res, next) => {
+  const version = Number(req.body.version);
+
+  try {
+    const repo = getRepository();
+    const preview = await repo.previews.get(req.params.previewId);
+    if (!preview) {
+      return res.status(404).json({ error: 'Preview not found' });
     }
-    .creative-info .actions {
-      display: flex;
-      gap: 4px;
-      flex-shrink: 0;
+
+    const entry = (preview.versions || []).find(v => v.version === version);
+    if (!entry) {
+      return res.status(400).json({ error: `Version ${req.body.version} does not exist for this preview` });
     }
-    .creative-info a, .creative-info button {
-      font-size: 0.7rem;
-      color: #555;
-      text-decoration: none;
-      background: none;
-      border: none;
-      cursor: pointer;
-      padding: 2px 5px;
+
+    // Versions can differ in size, so the index pages framing the preview are rebuilt with it
+    const dimensions = entry.dimensions || preview.dimensions;
+    const deployResult = await deployWithIndexes({
+      creativeName: preview.creativeName,
+      folderPath: preview.folderPath,
+      files: [buildRedirectFile(preview.creativeName, version)],
+    }, {
+      clientId: preview.clientId,
+      campaignId: preview.campaignId,
+      dimensions,
+      message: `Roll back ${preview.creativeName} to v${version}`,
+    });
+
+    const updated = await repo.previews.update(preview.id, {
+      currentVersion: version,
+      // Older entries don't record a size
+      dimensions,
+      creatives: entry.creatives || preview.creatives,
+      entryPath: entry.creatives ? entry.creatives[0]?.entryPath ?? null : preview.entryPath,
+      updatedAt: new Date().toISOString(),
+    });
+
+    res.json({
+      success: true,
+      deployId: deployResult.deployId,
+      preview: updated,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/previews/:previewId
+ * Unpublish a preview, remove its record and refresh the index pages
+ */
+router.delete('/previews/:previewId', async (req, res, next) => {
+  try {
+    const repo = getRepository();
+    const preview = await repo.previews.get(req.params.previewId);
+
+    if (!preview) {
+      return res.status(404).json({ error: 'Preview not found' });
     }
-    .creative-info a:hover, .creative-info button:hover { color: #0af; }
-  </style>
-</head>
-<body>
-  <header>
-    <div class="header-left"><a href="../">← ${client.name}</a></div>
-    <div class="header-center">
-      <h1>${campaign.name}</h1>
-      <span>${creatives.length} creatives</span>
-    </div>
-    <div class="header-right">${new Date().toLocaleDateString()}</div>
-  </header>
-  
-  ${locales.length > 1 ? `
-  <div class="filters">
-    <button class="filter-btn active" data-filter="all">All</button>
-    ${locales.map(locale => `<button class="filter-btn" data-filter="${locale}">${locale}</button>`).join('')}
-  </div>
-  ` : ''}
-  
-  ${sizeGroups.map(group => `
-  <section class="size-section">
-    <div class="size-label">${group.size}</div>
-    <div class="creatives-grid">
-      ${group.creatives.map(c => {
-        const w = group.width || 300;
-        const h = group.height || 250;
-        return `
-      <div class="creative" data-locale="${c.locale}">
-        <iframe 
-          src="${c.slug}/" 
-          style="width:${w}px; height:${h}px; min-width:${w}px; min-height:${h}px; max-width:${w}px; max-height:${h}px; border:none; display:block; background:#fff;"
-          scrolling="no" 
-          loading="lazy"
-        ></iframe>
-        <div class="creative-info" style="width:${w}px;">
-          <span class="locale">${c.locale}</span>
-          <span class="name" title="${c.creativeName}">${c.creativeName}</span>
-          <span class="actions">
-            <a href="${c.slug}/" target="_blank" title="Open">↗</a>
-            <button onclick="navigator.clipboard.writeText(location.href+'${c.slug}/');this.textContent='✓';setTimeout(()=>this.textContent='⎘',1000)" title="Copy link">⎘</button>
-          </span>
-        </div>
-      </div>`;
-      }).join('')}
-    </div>
-  </section>
-  `).join('')}
-  
-  <script>
-    document.querySelectorAll('.filter-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        const f = btn.dataset.filter;
-        document.querySelectorAll('.creative').forEach(c => {
-          c.classList.toggle('hidden', f !== 'all' && c.dataset.locale !== f);
-        });
+
+    await repo.previews.remove(preview.id);
+
+    // Rebuild the index pages without this creative, in the same commit as the delete
+    const client = preview.clientId ? await repo.clients.get(preview.clientId) : null;
+    const campaign = preview.campaignId ? await repo.campaigns.get(preview.campaignId) : null;
+    const deployments = client && campaign ? await buildIndexDeployments(client, campaign) : [];
+
+    try {
+      const deleteResult = await getPublisher().delete({
+        folderPaths: [preview.folderPath],
+        deployments,
+        message: `Delete preview: ${preview.creativeName}`,
       });
-    });
-  </script>
-</body>
-</html>`;
-
-  // Deploy campaign index
-  await githubService.deploy({
-    creativeName: 'Campaign Index',
-    folderPath: `${client.slug}/${campaign.slug}`,
-    files: [{
-      path: 'index.html',
-      content: indexHtml,
-      encoding: 'utf-8',
-      type: 'html',
-    }],
-  });
-}
+
+      res.json({
+        success: true,
+        commitSha: deleteResult.commitSha,
+      });
+    } catch (error) {
+      // Keep the record if the folder is still published
+      await repo.previews.create(preview);
+      throw error;
+    }
+  } catch (error) {
+    next(error);
+  }
+});
 
 /**
- * GET /api/previews
- * List all generated previews
+ * GET /api/deploys
+ * Show running and queued deployments per target
  */
-router.get('/previews', (req, res) => {
+router.get('/deploys', (req, res) => {
   res.json({
     success: true,
-    previews,
-    count: previews.length,
+    queues: deployQueue.getQueueState(),
   });
 });
 
+/**
+ * GET /api/deploys/:deployId
+ * Get the status of a single deployment
+ */
+router.get('/deploys/:deployId', (req, res) => {
+  const status = deployQueue.getStatus(req.params.deployId);
+  if (!status) {
+    return res.status(404).json({ error: 'Deployment not found' });
+  }
+
+  res.json({ success: true, deploy: status });
+});
+
 module.exports = router;
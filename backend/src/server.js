@@ -8,6 +8,10 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const apiRoutes = require('./routes/api');
+const storage = require('./storage');
+const templateEngine = require('./services/templateEngine');
+const adValidator = require('./services/adValidator');
+const { getPublisher } = require('./publishers');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -27,6 +31,12 @@ app.use(express.urlencoded({ extended: true }));
 // API routes
 app.use('/api', apiRoutes);
 
+// Serve locally published previews
+const publisher = getPublisher();
+if (publisher.name === 'local') {
+  app.use('/previews', express.static(publisher.rootDir));
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -46,8 +56,34 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Ad Preview Server running on http://localhost:${PORT}`);
-  console.log(`📋 API endpoints available at http://localhost:${PORT}/api`);
-});
+// Check the preview templates up front: a broken template stops the server
+try {
+  const count = templateEngine.validateTemplates();
+  console.log(`🧩 Loaded ${count} preview templates`);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Same for the default ad spec profile, which would otherwise only fail the first validation
+try {
+  console.log(`📏 Default ad spec profile: ${adValidator.resolveProfileId()}`);
+} catch (error) {
+  console.error(`AD_SPEC_PROFILE: ${error.message}`);
+  process.exit(1);
+}
+
+// Initialize storage, then start server
+storage.init()
+  .then((repository) => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Ad Preview Server running on http://localhost:${PORT}`);
+      console.log(`📋 API endpoints available at http://localhost:${PORT}/api`);
+      console.log(`🗄️  Storage driver: ${repository.driver}`);
+      console.log(`📤 Publisher: ${publisher.name}`);
+    });
+  })
+  .catch((error) => {
+    console.error('Failed to initialize storage:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,442 @@
+/**
+ * Ad Validator Service
+ * Checks extracted creatives against ad-platform HTML5 specs
+ */
+
+const path = require('path');
+const { detectCreatives, detectBanners, detectVideo, getGifAnimation } = require('./zipProcessor');
+const { VAST_VERSION, parseVast } = require('./vastService');
+const { getTextContent } = require('./fileTypeDetector');
+
+/**
+ * Platform profiles. Weights are in KB; severities decide whether a
+ * failed check is reported as a warning or a failure. Animation limits apply to
+ * animated GIFs: total play time in seconds and number of plays (null for no limit).
+ */
+const PROFILES = {
+  iab: {
+    name: 'IAB',
+    maxInitialLoadKB: 150,
+    maxFiles: 100,
+    allowedExtensions: [
+      '.html', '.htm', '.css', '.js', '.json', '.xml',
+      '.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg',
+      '.woff', '.woff2', '.ttf', '.otf',
+      '.mp4', '.webm', '.mp3', '.ogg',
+    ],
+    allowedHosts: ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com', 's0.2mdn.net'],
+    maxAnimationSeconds: 15,
+    maxPlays: 3,
+    severity: { adSize: 'warn', clickTag: 'fail', externalRequests: 'warn', documentWrite: 'fail', animation: 'warn' },
+  },
+  google: {
+    name: 'Google Ads / DV360',
+    maxInitialLoadKB: 150,
+    maxFiles: 40,
+    allowedExtensions: ['.html', '.htm', '.css', '.js', '.gif', '.png', '.jpg', '.jpeg', '.svg'],
+    allowedHosts: ['s0.2mdn.net', 'tpc.googlesyndication.com', 'fonts.googleapis.com', 'fonts.gstatic.com'],
+    maxAnimationSeconds: 30,
+    maxPlays: null,
+    severity: { adSize: 'fail', clickTag: 'fail', externalRequests: 'fail', documentWrite: 'fail', animation: 'fail' },
+  },
+  cm360: {
+    name: 'CM360',
+    maxInitialLoadKB: 200,
+    maxFiles: 100,
+    allowedExtensions: [
+      '.html', '.htm', '.css', '.js', '.json', '.xml',
+      '.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg',
+      '.woff', '.woff2', '.ttf', '.otf', '.eot',
+      '.mp4', '.webm',
+    ],
+    allowedHosts: ['s0.2mdn.net', 'fonts.googleapis.com', 'fonts.gstatic.com'],
+    maxAnimationSeconds: 30,
+    maxPlays: null,
+    severity: { adSize: 'warn', clickTag: 'fail', externalRequests: 'warn', documentWrite: 'fail', animation: 'warn' },
+  },
+};
+
+const DEFAULT_PROFILE = 'iab';
+
+// Media is streamed or polite-loaded, so it doesn't count toward the initial load
+const DEFERRED_TYPES = ['video', 'audio'];
+
+// XML namespaces and doctypes look like URLs but are never fetched
+const IGNORED_HOSTS = ['www.w3.org', 'w3.org'];
+
+/**
+ * Resolve a profile id, falling back to AD_SPEC_PROFILE and then IAB
+ * @param {string} [profileId] - Requested profile id
+ * @returns {string} A known profile id
+ */
+function resolveProfileId(profileId) {
+  const requested = profileId || process.env.AD_SPEC_PROFILE;
+  if (!requested) return DEFAULT_PROFILE;
+
+  if (typeof requested !== 'string' || !Object.hasOwn(PROFILES, requested)) {
+    throw new Error(`Unknown ad spec profile "${requested}". Available: ${Object.keys(PROFILES).join(', ')}`);
+  }
+
+  return requested;
+}
+
+/**
+ * List available profiles for the UI
+ * @returns {Array} Profile summaries ({ id, name, maxInitialLoadKB, maxFiles })
+ */
+function listProfiles() {
+  return Object.entries(PROFILES).map(([id, profile]) => ({
+    id,
+    name: profile.name,
+    maxInitialLoadKB: profile.maxInitialLoadKB,
+    maxFiles: profile.maxFiles,
+    isDefault: id === resolveProfileId(),
+  }));
+}
+
+/**
+ * Validate extracted creative files against a platform profile
+ * @param {Array} files - Extracted files ({ path, content, encoding, type })
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.profile] - Profile id (iab, google, cm360)
+ * @returns {Object} Report ({ profile, profileName, status, checks })
+ */
+function validate(files, { profile } = {}) {
+  const profileId = resolveProfileId(profile);
+  const spec = PROFILES[profileId];
+  const allowedHosts = [...spec.allowedHosts, ...getExtraAllowedHosts()];
+
+  const checks = [
+    checkInitialLoad(files, spec),
+    checkFileCount(files, spec),
+    checkFileTypes(files, spec),
+    ...getFormatChecks(files, spec),
+    checkExternalRequests(files, spec, allowedHosts),
+    checkDocumentWrite(files, spec),
+    checkAnimation(files, spec),
+  ];
+
+  return {
+    profile: profileId,
+    profileName: spec.name,
+    status: getOverallStatus(checks),
+    checks,
+  };
+}
+
+/**
+ * Report for a creative that couldn't be read at all
+ * @param {Error} error - Extraction error
+ * @param {Object} [options] - Validation options
+ * @returns {Object} Failed report
+ */
+function invalidArchiveReport(error, { profile } = {}) {
+  const profileId = resolveProfileId(profile);
+
+  return {
+    profile: profileId,
+    profileName: PROFILES[profileId].name,
+    status: 'fail',
+    checks: [
+      result('archive', 'Readable ZIP archive', 'fail', error.message),
+    ],
+  };
+}
+
+/**
+ * Worst status across all checks
+ */
+function getOverallStatus(checks) {
+  if (checks.some(c => c.status === 'fail')) return 'fail';
+  if (checks.some(c => c.status === 'warn')) return 'warn';
+  return 'pass';
+}
+
+/**
+ * Hosts allowed on top of the profile's list (AD_SPEC_ALLOWED_HOSTS, comma-separated)
+ */
+function getExtraAllowedHosts() {
+  return (process.env.AD_SPEC_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function result(id, label, status, message) {
+  return { id, label, status, message };
+}
+
+/**
+ * Size of a file in bytes
+ */
+function getFileSize(file) {
+  return Buffer.byteLength(file.content, file.encoding === 'base64' ? 'base64' : 'utf-8');
+}
+
+function formatKB(bytes) {
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Text files that can contain markup or script, with their content as text
+ */
+function getSourceFiles(files) {
+  return files
+    .filter(f => ['html', 'css', 'javascript'].includes(f.type))
+    .map(f => ({ path: f.path, type: f.type, content: getTextContent(f) }));
+}
+
+function checkInitialLoad(files, spec) {
+  const bytes = files
+    .filter(f => !DEFERRED_TYPES.includes(f.type))
+    .reduce((sum, f) => sum + getFileSize(f), 0);
+  const limit = spec.maxInitialLoadKB * 1024;
+  const status = bytes <= limit ? 'pass' : 'fail';
+
+  return result('initialLoad', 'Initial load weight', status,
+    `${formatKB(bytes)} of ${spec.maxInitialLoadKB} KB allowed`);
+}
+
+function checkFileCount(files, spec) {
+  const status = files.length <= spec.maxFiles ? 'pass' : 'fail';
+
+  return result('fileCount', 'File count', status, `${files.length} of ${spec.maxFiles} files allowed`);
+}
+
+function checkFileTypes(files, spec) {
+  const disallowed = files
+    .map(f => f.path)
+    .filter(filePath => !spec.allowedExtensions.includes(path.extname(filePath).toLowerCase()));
+
+  if (disallowed.length === 0) {
+    return result('fileTypes', 'Allowed file types', 'pass', 'All file types are allowed');
+  }
+
+  return result('fileTypes', 'Allowed file types', 'fail', `Not allowed: ${disallowed.join(', ')}`);
+}
+
+/**
+ * Size and click-through checks for the kind of delivery: video, static banners or HTML
+ */
+function getFormatChecks(files, spec) {
+  // Video deliveries are checked as VAST; the tag for raw videos is generated
+  const video = detectVideo(files);
+  if (video) return [checkVast(video, files), checkVideoSize(video)];
+
+  // Image-only deliveries are static banners; their pages (ad.size, clickTag) are generated
+  const banners = detectBanners(files);
+  if (banners.length > 0) return [checkBannerSizes(banners), checkBannerClickTag(banners)];
+
+  return [checkAdSize(files, spec), checkClickTag(files, spec)];
+}
+
+function checkAdSize(files, spec) {
+  const entries = detectCreatives(files).map(c => files.find(f => f.path === c.entryPath));
+  if (entries.length === 0) {
+    return result('adSize', 'ad.size meta tag', 'fail', 'No HTML file found');
+  }
+
+  // Multi-size deliveries need the tag in every creative's entry page
+  const sizes = [];
+  for (const entry of entries) {
+    const meta = getTextContent(entry).match(/<meta\s+[^>]*name\s*=\s*["']ad\.size["'][^>]*>/i);
+    if (!meta) {
+      return result('adSize', 'ad.size meta tag', spec.severity.adSize,
+        `${entry.path} has no <meta name="ad.size" content="width=…,height=…">`);
+    }
+
+    const size = meta[0].match(/content\s*=\s*["']\s*width\s*=\s*(\d+)\s*,\s*height\s*=\s*(\d+)\s*["']/i);
+    if (!size) {
+      return result('adSize', 'ad.size meta tag', spec.severity.adSize,
+        `ad.size content in ${entry.path} must be "width=…,height=…"`);
+    }
+    sizes.push(`${size[1]}x${size[2]}`);
+  }
+
+  return result('adSize', 'ad.size meta tag', 'pass', sizes.join(', '));
+}
+
+function checkBannerSizes(banners) {
+  const sizes = banners.map(b => `${b.dimensions.width}x${b.dimensions.height}`);
+  return result('adSize', 'ad.size meta tag', 'pass', `Static banners: ${sizes.join(', ')}`);
+}
+
+function checkBannerClickTag(banners) {
+  return result('clickTag', 'clickTag declaration', 'pass',
+    `Added to the generated page of ${banners.length === 1 ? 'the banner' : `each of the ${banners.length} banners`}`);
+}
+
+function checkClickTag(files, spec) {
+  const declaration = /\b(?:var|let|const)\s+clickTag\b|\bwindow\s*\.\s*clickTag\s*=|\bwindow\s*\[\s*["']clickTag["']\s*\]\s*=/i;
+  const declaredIn = getSourceFiles(files).find(f => f.type !== 'css' && declaration.test(f.content));
+
+  if (!declaredIn) {
+    return result('clickTag', 'clickTag declaration', spec.severity.clickTag, 'No clickTag variable declared');
+  }
+
+  return result('clickTag', 'clickTag declaration', 'pass', `Declared in ${declaredIn.path}`);
+}
+
+function checkVast(video, files) {
+  if (video.generated) {
+    const companions = video.companions.length > 0 ? ` with ${video.companions.length} companion banner${video.companions.length === 1 ? '' : 's'}` : '';
+    return result('vast', 'VAST tag', 'pass',
+      `VAST ${VAST_VERSION} tag generated for ${video.media.length} video file${video.media.length === 1 ? '' : 's'}${companions}`);
+  }
+
+  const vast = parseVast(files.find(f => f.path === video.entryPath).content);
+  if (vast.isWrapper) {
+    return result('vast', 'VAST tag', 'warn', `${video.entryPath} is a wrapper; its ad is only fetched at play time`);
+  }
+
+  const missing = [];
+  if (vast.mediaFiles.length === 0) missing.push('MediaFile');
+  if (vast.duration === null) missing.push('Duration');
+  if (vast.impressions === 0) missing.push('Impression');
+  if (missing.length > 0) {
+    return result('vast', 'VAST tag', 'fail', `${video.entryPath} has no ${missing.join(', ')}`);
+  }
+
+  return result('vast', 'VAST tag', 'pass',
+    `${video.entryPath}: VAST ${vast.version || '(no version)'}, ${vast.mediaFiles.length} media file${vast.mediaFiles.length === 1 ? '' : 's'}, ` +
+    `tracks ${vast.trackingEvents.join(', ') || 'no events'}`);
+}
+
+function checkVideoSize(video) {
+  if (!video.generated) {
+    return video.dimensions
+      ? result('videoSize', 'Video size', 'pass', `Largest MediaFile is ${video.dimensions.width}x${video.dimensions.height}`)
+      : result('videoSize', 'Video size', 'warn', 'No MediaFile declares its width and height');
+  }
+
+  const unreadable = video.media.filter(m => !m.width).map(m => m.path);
+  if (unreadable.length > 0) {
+    return result('videoSize', 'Video size', 'warn',
+      `Size unreadable for ${unreadable.join(', ')}; the VAST tag lists ${unreadable.length === 1 ? 'it' : 'them'} without width and height`);
+  }
+
+  return result('videoSize', 'Video size', 'pass', video.media
+    .map(m => `${m.path} ${m.width}x${m.height}${m.duration ? `, ${formatSeconds(m.duration)}` : ''}`)
+    .join('; '));
+}
+
+/**
+ * Find absolute URLs the creative would request when it loads
+ */
+function findExternalRequests(file) {
+  const patterns = file.type === 'css'
+    ? [/url\(\s*["']?((?:https?:)?\/\/[^"')\s]+)/gi, /@import\s+["']((?:https?:)?\/\/[^"']+)/gi]
+    : [
+      // Markup that fetches: scripts, images, stylesheets, frames and media
+      /<(?:script|img|iframe|source|video|audio|embed)\b[^>]*\ssrc\s*=\s*["']((?:https?:)?\/\/[^"']+)/gi,
+      /<link\b[^>]*\shref\s*=\s*["']((?:https?:)?\/\/[^"']+)/gi,
+      /url\(\s*["']?((?:https?:)?\/\/[^"')\s]+)/gi,
+      // Script loaders
+      /\b(?:fetch|importScripts)\s*\(\s*["'`]((?:https?:)?\/\/[^"'`]+)/gi,
+      /\.open\s*\(\s*["'][A-Z]+["']\s*,\s*["'`]((?:https?:)?\/\/[^"'`]+)/gi,
+      /\.src\s*=\s*["'`]((?:https?:)?\/\/[^"'`]+)/gi,
+    ];
+
+  const urls = [];
+  for (const pattern of patterns) {
+    for (const match of file.content.matchAll(pattern)) {
+      urls.push(match[1]);
+    }
+  }
+  return urls;
+}
+
+function getHost(url) {
+  try {
+    return new URL(url.startsWith('//') ? `https:${url}` : url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function isAllowedHost(host, allowedHosts) {
+  return allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+function checkExternalRequests(files, spec, allowedHosts) {
+  const blocked = new Set();
+
+  for (const file of getSourceFiles(files)) {
+    for (const url of findExternalRequests(file)) {
+      const host = getHost(url);
+      if (!host || IGNORED_HOSTS.includes(host)) continue;
+      if (!isAllowedHost(host, allowedHosts)) blocked.add(host);
+    }
+  }
+
+  if (blocked.size === 0) {
+    return result('externalRequests', 'External requests', 'pass', 'No requests outside the allowlist');
+  }
+
+  return result('externalRequests', 'External requests', spec.severity.externalRequests,
+    `Requests to hosts outside the allowlist: ${[...blocked].join(', ')}`);
+}
+
+function checkDocumentWrite(files, spec) {
+  const usedIn = getSourceFiles(files)
+    .filter(f => f.type !== 'css' && /\bdocument\s*\.\s*write(?:ln)?\s*\(/.test(f.content))
+    .map(f => f.path);
+
+  if (usedIn.length === 0) {
+    return result('documentWrite', 'No document.write', 'pass', 'document.write is not used');
+  }
+
+  return result('documentWrite', 'No document.write', spec.severity.documentWrite,
+    `document.write used in ${usedIn.join(', ')}`);
+}
+
+/**
+ * Play time and loop count of animated GIFs against the profile's limits
+ */
+function checkAnimation(files, spec) {
+  const animated = files
+    .filter(f => f.type === 'image' && f.encoding === 'base64')
+    .map(f => ({ path: f.path, ...getGifAnimation(Buffer.from(f.content, 'base64')) }))
+    .filter(a => a.frames);
+
+  if (animated.length === 0) {
+    return result('animation', 'Animation length', 'pass', 'No animated GIFs');
+  }
+
+  const problems = [];
+  const summaries = animated.map(({ path: imagePath, frames, duration, plays }) => {
+    const loop = `${frames} frames, ${formatSeconds(duration)} per loop`;
+
+    if (plays === null) {
+      if (spec.maxAnimationSeconds || spec.maxPlays !== null) problems.push(`${imagePath} loops forever`);
+      return `${imagePath}: ${loop}, loops forever`;
+    }
+
+    const total = duration * plays;
+    if (spec.maxAnimationSeconds && total > spec.maxAnimationSeconds * 1000) {
+      problems.push(`${imagePath} animates for ${formatSeconds(total)}, at most ${spec.maxAnimationSeconds}s allowed`);
+    }
+    if (spec.maxPlays !== null && plays > spec.maxPlays) {
+      problems.push(`${imagePath} plays ${plays} times, at most ${spec.maxPlays} allowed`);
+    }
+    return `${imagePath}: ${loop}, ${plays === 1 ? 'plays once' : `plays ${plays} times`} (${formatSeconds(total)})`;
+  });
+
+  if (problems.length > 0) {
+    return result('animation', 'Animation length', spec.severity.animation, problems.join('; '));
+  }
+
+  return result('animation', 'Animation length', 'pass', summaries.join('; '));
+}
+
+function formatSeconds(ms) {
+  return `${Number((ms / 1000).toFixed(1))}s`;
+}
+
+module.exports = {
+  PROFILES,
+  validate,
+  invalidArchiveReport,
+  listProfiles,
+  resolveProfileId,
+};
@@ -0,0 +1,138 @@
+/**
+ * Deploy Queue Service
+ * Serializes deployments per target (repository/branch) so concurrent previews never race
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Keep a bounded history of finished deployments for status lookups
+const MAX_FINISHED_ENTRIES = 100;
+
+// key -> { tail: Promise, pending: Array<entry>, running: entry|null }
+const queues = new Map();
+// id -> entry
+const entries = new Map();
+
+/**
+ * Get or create the queue for a deploy target
+ */
+function getQueue(key) {
+  if (!queues.has(key)) {
+    queues.set(key, { tail: Promise.resolve(), pending: [], running: null });
+  }
+  return queues.get(key);
+}
+
+/**
+ * Add a deployment task to the queue for a target
+ * @param {string} key - Deploy target identifier (e.g. "owner/repo#gh-pages")
+ * @param {Function} task - Async function performing the deployment
+ * @param {Object} [options] - Queue options
+ * @param {string} [options.label] - Human readable description of the deployment
+ * @param {Function} [options.onStateChange] - Called with the entry whenever its state changes
+ * @returns {{ id: string, promise: Promise }} Queue entry id and the task result
+ */
+function enqueue(key, task, { label, onStateChange } = {}) {
+  const queue = getQueue(key);
+  const entry = {
+    id: uuidv4(),
+    key,
+    label: label || '',
+    state: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+  };
+
+  entries.set(entry.id, entry);
+  queue.pending.push(entry);
+
+  const notify = () => {
+    if (onStateChange) {
+      try {
+        onStateChange(toStatus(entry));
+      } catch (err) {
+        console.error('Deploy queue listener error:', err);
+      }
+    }
+  };
+  notify();
+
+  const run = async () => {
+    queue.pending.splice(queue.pending.indexOf(entry), 1);
+    queue.running = entry;
+    entry.state = 'running';
+    entry.startedAt = new Date().toISOString();
+    notify();
+
+    try {
+      const result = await task();
+      entry.state = 'done';
+      return result;
+    } catch (error) {
+      entry.state = 'failed';
+      entry.error = error.message;
+      throw error;
+    } finally {
+      entry.finishedAt = new Date().toISOString();
+      queue.running = null;
+      notify();
+      pruneFinished();
+    }
+  };
+
+  const promise = queue.tail.then(run);
+  // The next task waits for this one whether it succeeds or fails
+  queue.tail = promise.catch(() => {});
+
+  return { id: entry.id, promise };
+}
+
+/**
+ * Get the status of a queued, running or recently finished deployment
+ * @param {string} id - Queue entry id
+ * @returns {Object|null} Entry status
+ */
+function getStatus(id) {
+  const entry = entries.get(id);
+  return entry ? toStatus(entry) : null;
+}
+
+/**
+ * Get a snapshot of every deploy target's queue
+ * @returns {Array} Running and queued deployments per target
+ */
+function getQueueState() {
+  return [...queues.entries()].map(([key, queue]) => ({
+    key,
+    running: queue.running ? toStatus(queue.running) : null,
+    queued: queue.pending.map(toStatus),
+  }));
+}
+
+/**
+ * Public view of an entry, including its position while waiting
+ */
+function toStatus(entry) {
+  const queue = queues.get(entry.key);
+  const position = entry.state === 'queued' && queue ? queue.pending.indexOf(entry) + 1 : 0;
+  return { ...entry, position };
+}
+
+/**
+ * Drop the oldest finished entries once the history grows past its limit
+ */
+function pruneFinished() {
+  const finished = [...entries.values()].filter(e => e.finishedAt);
+  const excess = finished.length - MAX_FINISHED_ENTRIES;
+  for (let i = 0; i < excess; i++) {
+    entries.delete(finished[i].id);
+  }
+}
+
+module.exports = {
+  enqueue,
+  getStatus,
+  getQueueState,
+};
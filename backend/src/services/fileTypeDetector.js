@@ -0,0 +1,230 @@
+/**
+ * File Type Detector Service
+ * Identifies files from their content (magic bytes), using the extension only as a hint
+ */
+
+const path = require('path');
+const { isUtf8 } = require('buffer');
+
+const UTF8_BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+const UTF16_BOMS = [[0xff, 0xfe], [0xfe, 0xff]];
+
+// Categories of text files
+const TEXT_TYPES = ['html', 'css', 'javascript', 'json', 'xml'];
+
+// Categories whose files are served as bytes, never as text
+const BINARY_TYPES = ['image', 'font', 'video', 'audio'];
+
+/**
+ * Binary formats, checked in order. AVIF must come before the generic ISO-BMFF (MP4) check,
+ * and JPEG before MP3, whose frame sync also starts with 0xFF.
+ */
+const SIGNATURES = [
+  { type: 'image', mimeType: 'image/png', match: b => hasBytes(b, 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: 'image', mimeType: 'image/jpeg', match: b => hasBytes(b, 0, [0xff, 0xd8, 0xff]) },
+  { type: 'image', mimeType: 'image/gif', match: b => hasAscii(b, 0, 'GIF87a') || hasAscii(b, 0, 'GIF89a') },
+  { type: 'image', mimeType: 'image/webp', match: b => hasAscii(b, 0, 'RIFF') && hasAscii(b, 8, 'WEBP') },
+  { type: 'image', mimeType: 'image/avif', match: b => hasAscii(b, 4, 'ftypavif') || hasAscii(b, 4, 'ftypavis') },
+  { type: 'image', mimeType: 'image/x-icon', match: b => hasBytes(b, 0, [0x00, 0x00, 0x01, 0x00]) },
+  // M4A audio and HEIF stills share MP4's ftyp box; only the brand after it tells them apart
+  { type: 'audio', mimeType: 'audio/mp4', match: b => hasFtypBrand(b, ['M4A ', 'M4B ', 'M4P ']) },
+  { type: 'image', mimeType: 'image/heic', match: b => hasFtypBrand(b, ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx']) },
+  { type: 'image', mimeType: 'image/heif', match: b => hasFtypBrand(b, ['mif1', 'msf1']) },
+  { type: 'video', mimeType: 'video/mp4', match: b => hasAscii(b, 4, 'ftyp') },
+  { type: 'video', mimeType: 'video/webm', match: b => hasBytes(b, 0, [0x1a, 0x45, 0xdf, 0xa3]) },
+  { type: 'audio', mimeType: 'audio/ogg', match: b => hasAscii(b, 0, 'OggS') },
+  { type: 'audio', mimeType: 'audio/wav', match: b => hasAscii(b, 0, 'RIFF') && hasAscii(b, 8, 'WAVE') },
+  // MP3 without ID3 tags starts with an MPEG layer III frame sync
+  { type: 'audio', mimeType: 'audio/mpeg', match: b => hasAscii(b, 0, 'ID3') || (b[0] === 0xff && (b[1] & 0xe6) === 0xe2) },
+  { type: 'font', mimeType: 'font/woff', match: b => hasAscii(b, 0, 'wOFF') },
+  { type: 'font', mimeType: 'font/woff2', match: b => hasAscii(b, 0, 'wOF2') },
+  { type: 'font', mimeType: 'font/otf', match: b => hasAscii(b, 0, 'OTTO') },
+  // Mac TrueType fonts start with "true"; the NUL of the table count keeps text files from matching
+  { type: 'font', mimeType: 'font/ttf', match: b => hasBytes(b, 0, [0x00, 0x01, 0x00, 0x00]) || hasBytes(b, 0, [0x74, 0x72, 0x75, 0x65, 0x00]) },
+  { type: 'other', mimeType: 'application/pdf', match: b => hasAscii(b, 0, '%PDF-') },
+  { type: 'other', mimeType: 'application/zip', match: b => hasBytes(b, 0, [0x50, 0x4b, 0x03, 0x04]) },
+];
+
+const TEXT_MIME_TYPES = {
+  html: 'text/html; charset=utf-8',
+  css: 'text/css; charset=utf-8',
+  javascript: 'text/javascript; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xml: 'application/xml; charset=utf-8',
+};
+
+const EXTENSION_TYPES = {
+  // HTML
+  '.html': 'html',
+  '.htm': 'html',
+  // CSS
+  '.css': 'css',
+  // JavaScript
+  '.js': 'javascript',
+  '.mjs': 'javascript',
+  // Images
+  '.png': 'image',
+  '.apng': 'image',
+  '.jpg': 'image',
+  '.jpeg': 'image',
+  '.jfif': 'image',
+  '.gif': 'image',
+  '.webp': 'image',
+  '.avif': 'image',
+  '.heic': 'image',
+  '.heif': 'image',
+  '.svg': 'image',
+  '.ico': 'image',
+  // Fonts
+  '.woff': 'font',
+  '.woff2': 'font',
+  '.ttf': 'font',
+  '.eot': 'font',
+  '.otf': 'font',
+  // Data
+  '.json': 'json',
+  '.xml': 'xml',
+  // Video
+  '.mp4': 'video',
+  '.m4v': 'video',
+  '.webm': 'video',
+  // Audio
+  '.mp3': 'audio',
+  '.m4a': 'audio',
+  '.wav': 'audio',
+  '.ogg': 'audio',
+};
+
+/**
+ * Get file type based on extension
+ * @param {string} ext - File extension
+ * @returns {string} File type category
+ */
+function getFileType(ext) {
+  return EXTENSION_TYPES[ext.toLowerCase()] || 'other';
+}
+
+/**
+ * Detect a file's category and encoding from its content. Known binary formats are
+ * matched by signature; anything else that isn't valid UTF-8 is kept as raw bytes.
+ * Text in another encoding (UTF-16, Windows-1252, …) keeps its text extension's category,
+ * so read it through getTextContent.
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - File name, used as a hint for text and unrecognized formats
+ * @returns {Object} { type, mimeType, encoding, content } with content as base64 or UTF-8 text
+ */
+function detectFileType(buffer, fileName) {
+  const hint = getFileType(path.extname(fileName));
+
+  // UTF-16 text can't be stored as UTF-8 content without changing it
+  if (UTF16_BOMS.some(bom => hasBytes(buffer, 0, bom))) {
+    return TEXT_TYPES.includes(hint) ? encodedText(buffer, hint) : binary(buffer, 'other', null);
+  }
+
+  const signature = SIGNATURES.find(s => s.match(buffer));
+  if (signature) {
+    return binary(buffer, signature.type, signature.mimeType);
+  }
+
+  if (!isText(buffer)) {
+    if (TEXT_TYPES.includes(hint) && !buffer.includes(0)) return encodedText(buffer, hint);
+    return binary(buffer, BINARY_TYPES.includes(hint) ? hint : 'other', null);
+  }
+
+  // Exporters sometimes prepend a BOM, which breaks JSON.parse and stray-character-sensitive markup
+  const text = (hasBytes(buffer, 0, UTF8_BOM) ? buffer.subarray(UTF8_BOM.length) : buffer).toString('utf-8');
+  const type = sniffTextType(text, hint);
+
+  // SVG is text, but it's an image asset: keep its exact bytes like the other images
+  if (type === 'image') {
+    return binary(buffer, 'image', 'image/svg+xml');
+  }
+
+  return {
+    type,
+    mimeType: TEXT_MIME_TYPES[type] || 'text/plain; charset=utf-8',
+    encoding: 'utf-8',
+    content: text,
+  };
+}
+
+function binary(buffer, type, mimeType) {
+  return { type, mimeType, encoding: 'base64', content: buffer.toString('base64') };
+}
+
+/**
+ * Text that isn't UTF-8: its exact bytes are kept, and the MIME type has no charset
+ * so browsers go by the BOM or the page's own <meta charset>
+ */
+function encodedText(buffer, type) {
+  return binary(buffer, type, TEXT_MIME_TYPES[type].split(';')[0]);
+}
+
+/**
+ * A text file's content as a string, for scanning markup and code. Text kept as bytes
+ * (see encodedText) is decoded from its BOM's UTF-16, or else as Latin-1: the encodings
+ * creatives ship besides UTF-8 all agree with ASCII, which is what tags and code are made of.
+ * @param {Object} file - Extracted file ({ content, encoding })
+ * @returns {string} Text content
+ */
+function getTextContent(file) {
+  if (file.encoding !== 'base64') return file.content;
+
+  const buffer = Buffer.from(file.content, 'base64');
+  if (hasBytes(buffer, 0, UTF16_BOMS[0])) return new TextDecoder('utf-16le').decode(buffer);
+  if (hasBytes(buffer, 0, UTF16_BOMS[1])) return new TextDecoder('utf-16be').decode(buffer);
+  return buffer.toString('latin1');
+}
+
+/**
+ * Whether a buffer is UTF-8 text (NUL bytes only appear in binary files)
+ */
+function isText(buffer) {
+  return isUtf8(buffer) && !buffer.includes(0);
+}
+
+/**
+ * Category of a text file: a text extension is trusted, otherwise the content decides
+ */
+function sniffTextType(text, hint) {
+  if (TEXT_TYPES.includes(hint)) return hint;
+
+  const start = text.trimStart().slice(0, 1024);
+  // SVG may open with an XML declaration, comments and a doctype (Illustrator exports all three)
+  if (/^(?:<\?xml[^>]*>|<!--[\s\S]*?-->|<!doctype\s+svg[^>]*>|\s)*<svg[\s>]/i.test(start) ||
+    (hint === 'image' && /<svg[\s>]/i.test(text))) {
+    return 'image';
+  }
+  if (/^<!doctype\s+html|^<html[\s>]/i.test(start)) return 'html';
+  if (/^<\?xml/i.test(start)) return 'xml';
+  if (/^[{[]/.test(start) && isJson(text)) return 'json';
+
+  return 'other';
+}
+
+function isJson(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function hasBytes(buffer, offset, bytes) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function hasAscii(buffer, offset, text) {
+  return buffer.length >= offset + text.length && buffer.toString('latin1', offset, offset + text.length) === text;
+}
+
+function hasFtypBrand(buffer, brands) {
+  return hasAscii(buffer, 4, 'ftyp') && brands.some(brand => hasAscii(buffer, 8, brand));
+}
+
+module.exports = {
+  detectFileType,
+  getFileType,
+  getTextContent,
+};
@@ -5,6 +5,11 @@
 
 const { Octokit } = require('@octokit/rest');
 const path = require('path');
+const crypto = require('crypto');
+const deployQueue = require('./deployQueue');
+
+// How many times to rebase and retry when the branch moves during a deploy
+const MAX_COMMIT_ATTEMPTS = 5;
 
 // Initialize Octokit with GitHub token
 let octokit = null;
@@ -39,64 +44,482 @@ function getConfig() {
 
 /**
  * Deploy files to GitHub Pages
+ * Deployments to the same repository/branch are queued and run one at a time.
  * @param {Object} options - Deployment options
  * @param {string} options.creativeName - Name of the creative
  * @param {string} options.folderPath - Folder path for the preview
  * @param {Array} options.files - Files to deploy
+ * @param {Function} [options.onStateChange] - Receives queue status updates (queued/running/done/failed)
  * @returns {Promise<Object>} Deployment result with preview URL
  */
-async function deploy({ creativeName, folderPath, files }) {
-  const client = getOctokit();
+async function deploy({ creativeName, folderPath, files, onStateChange }) {
   const { owner, repo } = getConfig();
   const branch = 'gh-pages';
 
+  const { id, promise } = deployQueue.enqueue(
+    getQueueKey(owner, repo, branch),
+    () => deployNow({ creativeName, folderPath, files, owner, repo, branch }),
+    { label: creativeName, onStateChange }
+  );
+
+  const result = await promise;
+  return { ...result, deployId: id };
+}
+
+/**
+ * Perform a deployment immediately (callers should go through the queue)
+ */
+async function deployNow({ creativeName, folderPath, files, owner, repo, branch }) {
+  const client = getOctokit();
+
   // Normalize folder path
-  const basePath = sanitizePath(folderPath || creativeName);
+  const basePath = sanitizePath(folderPath ?? creativeName);
 
   try {
     // Ensure gh-pages branch exists
     await ensureBranchExists(client, owner, repo, branch);
 
-    // Get the current commit SHA for gh-pages
-    const { data: refData } = await client.git.getRef({
+    console.log(`📤 Deploying: ${basePath}`);
+
+    // Create blobs for all files (blobs don't depend on the branch head, so they survive retries)
+    const { treeItems, created, reused } = await createTreeItems(client, { owner, repo, branch, basePath, files });
+
+    const { commitSha, attempts } = await commitTree(client, {
       owner,
       repo,
-      ref: `heads/${branch}`,
+      branch,
+      treeItems,
+      message: `Deploy preview: ${creativeName}`,
     });
-    const currentCommitSha = refData.object.sha;
 
-    // Get the tree SHA from the current commit
-    const { data: commitData } = await client.git.getCommit({
+    const previewUrl = getPreviewUrl(owner, repo, basePath);
+
+    console.log(`✅ Deployed to: ${previewUrl}`);
+
+    return {
+      success: true,
+      previewUrl,
+      commitSha,
+      attempts,
+      blobs: { created, reused },
+    };
+  } catch (error) {
+    console.error('GitHub deployment error:', error);
+    throw new Error(`Failed to deploy to GitHub: ${error.message}`);
+  }
+}
+
+/**
+ * Deploy several folders to GitHub Pages in a single commit
+ * Used for campaign uploads so every creative and the campaign index land together.
+ * @param {Object} options - Batch deployment options
+ * @param {string} options.message - Commit message
+ * @param {Array} options.deployments - Folders to deploy ({ creativeName, folderPath, files })
+ * @param {boolean} [options.rollbackOnFailure] - Abort the whole batch if any folder fails to upload
+ * @param {Function} [options.onStateChange] - Receives queue status updates (queued/running/done/failed)
+ * @returns {Promise<Object>} Commit SHA and per-folder results with preview URLs
+ */
+async function deployBatch({ message, deployments, rollbackOnFailure = false, onStateChange }) {
+  const { owner, repo } = getConfig();
+  const branch = 'gh-pages';
+
+  const { id, promise } = deployQueue.enqueue(
+    getQueueKey(owner, repo, branch),
+    () => deployBatchNow({ message, deployments, rollbackOnFailure, owner, repo, branch }),
+    { label: message, onStateChange }
+  );
+
+  const result = await promise;
+  return { ...result, deployId: id };
+}
+
+/**
+ * Perform a batch deployment immediately (callers should go through the queue)
+ */
+async function deployBatchNow({ message, deployments, rollbackOnFailure, owner, repo, branch }) {
+  const client = getOctokit();
+
+  try {
+    await ensureBranchExists(client, owner, repo, branch);
+
+    console.log(`📤 Deploying batch: ${deployments.length} folders`);
+
+    // Upload each folder's blobs; a failed folder is either skipped or aborts the batch
+    const results = await Promise.all(
+      deployments.map(async ({ creativeName, folderPath, files }) => {
+        const basePath = sanitizePath(folderPath ?? creativeName);
+        try {
+          const { treeItems, created, reused } = await createTreeItems(client, { owner, repo, branch, basePath, files });
+          return {
+            folderPath: basePath,
+            treeItems,
+            previewUrl: getPreviewUrl(owner, repo, basePath),
+            success: true,
+            blobs: { created, reused },
+          };
+        } catch (error) {
+          return { folderPath: basePath, treeItems: [], previewUrl: null, success: false, error: error.message };
+        }
+      })
+    );
+
+    const failed = results.filter(r => !r.success);
+    if (failed.length > 0 && rollbackOnFailure) {
+      throw new Error(`${failed.length} of ${results.length} folders failed to upload, nothing was published`);
+    }
+    if (failed.length === results.length) {
+      throw new Error('Every folder in the batch failed to upload');
+    }
+
+    const { commitSha, attempts } = await commitTree(client, {
       owner,
       repo,
-      commit_sha: currentCommitSha,
+      branch,
+      treeItems: results.flatMap(r => r.treeItems),
+      message,
     });
-    const baseTreeSha = commitData.tree.sha;
 
-    console.log(`📤 Deploying: ${basePath}`);
+    console.log(`✅ Deployed batch in commit ${commitSha.slice(0, 7)}`);
 
-    // Create blobs for all files
-    const treeItems = await Promise.all(
-      files.map(async (file) => {
-        const filePath = path.join(basePath, file.path).replace(/\\/g, '/');
-        
-        const blobParams = {
-          owner,
-          repo,
-          content: file.content,
-          encoding: file.encoding === 'base64' ? 'base64' : 'utf-8',
-        };
+    return {
+      success: true,
+      commitSha,
+      attempts,
+      blobs: {
+        created: results.reduce((sum, r) => sum + (r.blobs?.created || 0), 0),
+        reused: results.reduce((sum, r) => sum + (r.blobs?.reused || 0), 0),
+      },
+      deployments: results.map(({ treeItems, ...result }) => result),
+    };
+  } catch (error) {
+    console.error('GitHub batch deployment error:', error);
+    throw new Error(`Failed to deploy to GitHub: ${error.message}`);
+  }
+}
+
+/**
+ * Remove folders from GitHub Pages in a single commit
+ * @param {Object} options - Delete options
+ * @param {Array<string>} options.folderPaths - Folders to remove
+ * @param {Array} [options.deployments] - Folders to write in the same commit (e.g. a regenerated index)
+ * @param {string} [options.message] - Commit message
+ * @param {Function} [options.onStateChange] - Receives queue status updates
+ * @returns {Promise<Object>} Commit SHA and number of files removed
+ */
+async function deleteFolders({ folderPaths, deployments = [], message, onStateChange }) {
+  const { owner, repo } = getConfig();
+  const branch = 'gh-pages';
+
+  const { id, promise } = deployQueue.enqueue(
+    getQueueKey(owner, repo, branch),
+    () => deleteFoldersNow({ folderPaths, deployments, message, owner, repo, branch }),
+    { label: message || `Delete ${folderPaths.join(', ')}`, onStateChange }
+  );
+
+  const result = await promise;
+  return { ...result, deployId: id };
+}
+
+/**
+ * Perform a delete immediately (callers should go through the queue)
+ */
+async function deleteFoldersNow({ folderPaths, deployments, message, owner, repo, branch }) {
+  const client = getOctokit();
+
+  try {
+    // A tree entry with a null SHA removes that file from the base tree
+    const treeItems = [];
+    for (const folderPath of folderPaths) {
+      const basePath = sanitizePath(folderPath);
+      // Never treat an empty path as "delete the whole site"
+      if (!basePath) continue;
+      const existing = await getExistingBlobShas(client, { owner, repo, branch, basePath });
+      for (const relativePath of existing.keys()) {
+        treeItems.push({
+          path: `${basePath}/${relativePath}`,
+          mode: '100644',
+          type: 'blob',
+          sha: null,
+        });
+      }
+    }
 
-        const { data: blobData } = await client.git.createBlob(blobParams);
+    const removed = treeItems.length;
 
+    for (const { creativeName, folderPath, files } of deployments) {
+      const basePath = sanitizePath(folderPath ?? creativeName);
+      const result = await createTreeItems(client, { owner, repo, branch, basePath, files });
+      treeItems.push(...result.treeItems);
+    }
+
+    if (treeItems.length === 0) {
+      return { success: true, commitSha: null, removed: 0 };
+    }
+
+    const { commitSha, attempts } = await commitTree(client, {
+      owner,
+      repo,
+      branch,
+      treeItems,
+      message: message || `Delete previews: ${folderPaths.join(', ')}`,
+    });
+
+    console.log(`🗑️  Removed ${removed} files from ${folderPaths.length} folders`);
+
+    return { success: true, commitSha, attempts, removed };
+  } catch (error) {
+    console.error('GitHub delete error:', error);
+    throw new Error(`Failed to delete from GitHub: ${error.message}`);
+  }
+}
+
+/**
+ * Move everything published in a folder into one of its subfolders, in a single commit
+ * @param {Object} options - Move options
+ * @param {string} options.folderPath - Folder whose files are moved
+ * @param {string} options.into - Subfolder (relative to folderPath) the files are moved into
+ * @param {Array} [options.deployments] - Folders to write in the same commit (e.g. a new index.html)
+ * @param {string} [options.message] - Commit message
+ * @param {Function} [options.onStateChange] - Receives queue status updates
+ * @returns {Promise<Object>} Commit SHA and number of files moved
+ */
+async function moveFolder({ folderPath, into, deployments = [], message, onStateChange }) {
+  const { owner, repo } = getConfig();
+  const branch = 'gh-pages';
+
+  const { id, promise } = deployQueue.enqueue(
+    getQueueKey(owner, repo, branch),
+    () => moveFolderNow({ folderPath, into, deployments, message, owner, repo, branch }),
+    { label: message || `Move ${folderPath} into ${into}`, onStateChange }
+  );
+
+  const result = await promise;
+  return { ...result, deployId: id };
+}
+
+/**
+ * Perform a move immediately (callers should go through the queue)
+ */
+async function moveFolderNow({ folderPath, into, deployments, message, owner, repo, branch }) {
+  const client = getOctokit();
+
+  try {
+    const basePath = sanitizePath(folderPath);
+    const subfolder = sanitizePath(into);
+    if (!basePath || !subfolder) {
+      throw new Error('Both the folder and the subfolder to move into are required');
+    }
+
+    const treeItems = [];
+    for (const { creativeName, folderPath: deployPath, files } of deployments) {
+      const result = await createTreeItems(client, {
+        owner, repo, branch, basePath: sanitizePath(deployPath ?? creativeName), files,
+      });
+      treeItems.push(...result.treeItems);
+    }
+    const written = new Set(treeItems.map(item => item.path));
+
+    // Blobs are already on GitHub, so moving is re-pointing the SHA and clearing the old path
+    const existing = await getExistingBlobShas(client, { owner, repo, branch, basePath });
+    let moved = 0;
+    for (const [relativePath, sha] of existing) {
+      if (relativePath.startsWith(`${subfolder}/`)) continue;
+      treeItems.push({ path: `${basePath}/${subfolder}/${relativePath}`, mode: '100644', type: 'blob', sha });
+      if (!written.has(`${basePath}/${relativePath}`)) {
+        treeItems.push({ path: `${basePath}/${relativePath}`, mode: '100644', type: 'blob', sha: null });
+      }
+      moved++;
+    }
+
+    if (treeItems.length === 0) {
+      return { success: true, commitSha: null, moved: 0 };
+    }
+
+    const { commitSha, attempts } = await commitTree(client, {
+      owner,
+      repo,
+      branch,
+      treeItems,
+      message: message || `Move ${basePath} into ${subfolder}`,
+    });
+
+    console.log(`📦 Moved ${moved} files into ${basePath}/${subfolder}`);
+
+    return { success: true, commitSha, attempts, moved };
+  } catch (error) {
+    console.error('GitHub move error:', error);
+    throw new Error(`Failed to move on GitHub: ${error.message}`);
+  }
+}
+
+/**
+ * Create blobs for files and return tree items placing them under basePath.
+ * Files whose git blob SHA is already deployed anywhere in the folder are not uploaded
+ * again: blobs are content-addressed, so an unchanged file in a new v<n>/ folder reuses
+ * the blob of the previous version.
+ * @returns {Promise<{ treeItems: Array, created: number, reused: number }>}
+ */
+async function createTreeItems(client, { owner, repo, branch, basePath, files }) {
+  // Index pages are single files over folders holding every preview: only list the files
+  // next to them rather than the whole subtree (the root index would read the entire site)
+  const recursive = files.some(file => file.path.replace(/\\/g, '/').replace(/^\/+/, '').includes('/'));
+
+  // Reusing unchanged blobs is only an optimization: without the listing, everything is uploaded
+  let existing = new Set();
+  try {
+    existing = new Set((await getExistingBlobShas(client, { owner, repo, branch, basePath, recursive })).values());
+  } catch (error) {
+    console.warn(`Could not read existing files for ${basePath}, uploading everything: ${error.message}`);
+  }
+  let reused = 0;
+
+  const treeItems = await Promise.all(
+    files.map(async (file) => {
+      const filePath = path.join(basePath, file.path).replace(/\\/g, '/');
+      const localSha = computeBlobSha(toBuffer(file));
+
+      if (existing.has(localSha)) {
+        reused++;
         return {
           path: filePath,
           mode: '100644',
           type: 'blob',
-          sha: blobData.sha,
+          sha: localSha,
         };
-      })
-    );
+      }
+
+      const blobParams = {
+        owner,
+        repo,
+        content: file.content,
+        encoding: file.encoding === 'base64' ? 'base64' : 'utf-8',
+      };
+
+      const { data: blobData } = await client.git.createBlob(blobParams);
+
+      return {
+        path: filePath,
+        mode: '100644',
+        type: 'blob',
+        sha: blobData.sha,
+      };
+    })
+  );
+
+  if (reused > 0) {
+    console.log(`♻️  ${basePath}: reused ${reused} of ${files.length} unchanged files`);
+  }
+
+  return { treeItems, created: files.length - reused, reused };
+}
+
+/**
+ * Compute the git blob SHA-1 for file contents ("blob <size>\0<bytes>")
+ * @param {Buffer} buffer - Raw file bytes
+ * @returns {string} Hex SHA
+ */
+function computeBlobSha(buffer) {
+  return crypto
+    .createHash('sha1')
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest('hex');
+}
+
+/**
+ * Get the raw bytes of an extracted file
+ */
+function toBuffer(file) {
+  return Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf-8');
+}
+
+/**
+ * Map every blob currently deployed under basePath (relative path -> SHA).
+ * Returns an empty map if the folder doesn't exist yet; API errors are thrown.
+ * With recursive set to false, only the files directly in the folder are listed.
+ */
+async function getExistingBlobShas(client, { owner, repo, branch, basePath, recursive = true }) {
+  const blobs = new Map();
+
+  const { data: refData } = await client.git.getRef({
+    owner,
+    repo,
+    ref: `heads/${branch}`,
+  });
+  const { data: commitData } = await client.git.getCommit({
+    owner,
+    repo,
+    commit_sha: refData.object.sha,
+  });
+
+  // Walk down to the folder's tree one segment at a time
+  let treeSha = commitData.tree.sha;
+  for (const segment of basePath.split('/').filter(Boolean)) {
+    const { data: tree } = await client.git.getTree({ owner, repo, tree_sha: treeSha });
+    const entry = tree.tree.find(item => item.path === segment && item.type === 'tree');
+    if (!entry) return blobs;
+    treeSha = entry.sha;
+  }
+
+  const { data: folderTree } = await client.git.getTree({
+    owner,
+    repo,
+    tree_sha: treeSha,
+    ...(recursive && { recursive: 'true' }),
+  });
+
+  folderTree.tree
+    .filter(item => item.type === 'blob')
+    .forEach(item => blobs.set(item.path, item.sha));
+
+  return blobs;
+}
+
+/**
+ * Get the public URL of a folder on GitHub Pages
+ * @param {string} folderPath - Folder path
+ * @returns {string} Preview URL
+ */
+function getFolderUrl(folderPath) {
+  const { owner, repo } = getConfig();
+  return getPreviewUrl(owner, repo, sanitizePath(folderPath));
+}
+
+/**
+ * Build the public preview URL for a deployed folder
+ */
+function getPreviewUrl(owner, repo, basePath) {
+  const folder = basePath ? `${basePath}/` : '';
+  const customDomain = process.env.CUSTOM_DOMAIN;
+  if (customDomain) {
+    return `https://${customDomain}/${folder}`;
+  }
+  return `https://${owner}.github.io/${repo}/${folder}`;
+}
+
+/**
+ * Commit tree items on top of the branch head and fast-forward the branch.
+ * If the branch moved in the meantime (another writer pushed), the tree is
+ * rebuilt on the new head and the commit retried.
+ * @returns {Promise<{ commitSha: string, attempts: number }>}
+ */
+async function commitTree(client, { owner, repo, branch, treeItems, message }) {
+  for (let attempt = 1; attempt <= MAX_COMMIT_ATTEMPTS; attempt++) {
+    // Get the current commit SHA for gh-pages
+    const { data: refData } = await client.git.getRef({
+      owner,
+      repo,
+      ref: `heads/${branch}`,
+    });
+    const currentCommitSha = refData.object.sha;
+
+    // Get the tree SHA from the current commit
+    const { data: commitData } = await client.git.getCommit({
+      owner,
+      repo,
+      commit_sha: currentCommitSha,
+    });
+    const baseTreeSha = commitData.tree.sha;
 
     // Create a new tree with the files
     const { data: newTree } = await client.git.createTree({
@@ -110,40 +533,42 @@ async function deploy({ creativeName, folderPath, files }) {
     const { data: newCommit } = await client.git.createCommit({
       owner,
       repo,
-      message: `Deploy preview: ${creativeName}`,
+      message,
       tree: newTree.sha,
       parents: [currentCommitSha],
     });
 
-    // Update the gh-pages branch reference (force to allow overwrites)
-    await client.git.updateRef({
-      owner,
-      repo,
-      ref: `heads/${branch}`,
-      sha: newCommit.sha,
-      force: true, // Allow overwriting existing content
-    });
-
-    // Construct preview URL
-    const customDomain = process.env.CUSTOM_DOMAIN;
-    let previewUrl;
-    if (customDomain) {
-      previewUrl = `https://${customDomain}/${basePath}/`;
-    } else {
-      previewUrl = `https://${owner}.github.io/${repo}/${basePath}/`;
+    try {
+      // Only fast-forward, never overwrite someone else's commit
+      await client.git.updateRef({
+        owner,
+        repo,
+        ref: `heads/${branch}`,
+        sha: newCommit.sha,
+        force: false,
+      });
+      return { commitSha: newCommit.sha, attempts: attempt };
+    } catch (error) {
+      if (!isNonFastForward(error) || attempt === MAX_COMMIT_ATTEMPTS) {
+        throw error;
+      }
+      console.log(`↻ ${branch} moved during deploy, rebasing (attempt ${attempt + 1}/${MAX_COMMIT_ATTEMPTS})`);
     }
+  }
+}
 
-    console.log(`✅ Deployed to: ${previewUrl}`);
+/**
+ * Check whether an updateRef error means the branch head changed underneath us
+ */
+function isNonFastForward(error) {
+  return error.status === 422 && /fast.?forward/i.test(error.message || '');
+}
 
-    return {
-      success: true,
-      previewUrl,
-      commitSha: newCommit.sha,
-    };
-  } catch (error) {
-    console.error('GitHub deployment error:', error);
-    throw new Error(`Failed to deploy to GitHub: ${error.message}`);
-  }
+/**
+ * Queue key identifying a deploy target
+ */
+function getQueueKey(owner, repo, branch) {
+  return `${owner}/${repo}#${branch}`;
 }
 
 /**
@@ -220,7 +645,7 @@ async function listDeployedPreviews() {
       .map(item => ({
         name: item.name,
         path: item.path,
-        url: `https://${owner}.github.io/${repo}/${item.path}/`,
+        url: getPreviewUrl(owner, repo, item.path),
       }));
 
     return previews;
@@ -234,6 +659,11 @@ async function listDeployedPreviews() {
 
 module.exports = {
   deploy,
+  deployBatch,
+  deleteFolders,
+  moveFolder,
+  getFolderUrl,
+  computeBlobSha,
   ensureBranchExists,
   sanitizePath,
   listDeployedPreviews,
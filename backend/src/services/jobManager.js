@@ -0,0 +1,132 @@
+/**
+ * Job Manager Service
+ * Tracks background preview generation jobs and broadcasts their progress
+ */
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// Finished jobs are kept around for an hour so clients can still fetch the outcome
+const FINISHED_JOB_TTL = 60 * 60 * 1000;
+
+const jobs = new Map();
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Per-file stages reported while a job runs
+ */
+const STAGES = ['pending', 'extracting', 'generating', 'deploying', 'done', 'failed'];
+
+/**
+ * Create a new job
+ * @param {Object} options - Job options
+ * @param {string} options.type - Job type ("preview" or "batch")
+ * @param {Array} options.items - Files processed by the job ({ fileId, filename, creativeName })
+ * @returns {Object} Job snapshot
+ */
+function createJob({ type, items }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    type,
+    status: 'queued',
+    items: items.map(item => ({
+      ...item,
+      stage: 'pending',
+      detail: '',
+      error: null,
+      errorCode: null,
+      previewUrl: null,
+    })),
+    result: null,
+    error: null,
+    errorCode: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  jobs.set(job.id, job);
+  return snapshot(job);
+}
+
+/**
+ * Get a job by id
+ * @param {string} id - Job id
+ * @returns {Object|null} Job snapshot
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? snapshot(job) : null;
+}
+
+/**
+ * Update top-level job fields (status, result, error)
+ */
+function updateJob(id, changes) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  Object.assign(job, changes);
+  touch(job);
+
+  if (job.status === 'done' || job.status === 'failed') {
+    setTimeout(() => jobs.delete(id), FINISHED_JOB_TTL).unref();
+  }
+}
+
+/**
+ * Update the progress of one file in a job
+ * @param {string} id - Job id
+ * @param {number} index - Item index
+ * @param {Object} changes - Item fields to update (stage, detail, error, previewUrl, ...)
+ */
+function updateItem(id, index, changes) {
+  const job = jobs.get(id);
+  if (!job || !job.items[index]) return;
+
+  if (changes.stage && !STAGES.includes(changes.stage)) {
+    throw new Error(`Unknown job stage: ${changes.stage}`);
+  }
+
+  Object.assign(job.items[index], changes);
+  touch(job);
+}
+
+/**
+ * Subscribe to updates for a job
+ * @param {string} id - Job id
+ * @param {Function} listener - Called with a job snapshot after every change
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(id, listener) {
+  const eventName = `job:${id}`;
+  emitter.on(eventName, listener);
+  return () => emitter.off(eventName, listener);
+}
+
+/**
+ * Check whether a job has reached a final status
+ */
+function isFinished(job) {
+  return job.status === 'done' || job.status === 'failed';
+}
+
+function touch(job) {
+  job.updatedAt = new Date().toISOString();
+  emitter.emit(`job:${job.id}`, snapshot(job));
+}
+
+function snapshot(job) {
+  return JSON.parse(JSON.stringify(job));
+}
+
+module.exports = {
+  STAGES,
+  createJob,
+  getJob,
+  updateJob,
+  updateItem,
+  subscribe,
+  isFinished,
+};
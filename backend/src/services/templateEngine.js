@@ -0,0 +1,193 @@
+/**
+ * Template Engine
+ * Compiles the Handlebars templates in templates/ and renders the generated preview files with them
+ */
+
+const path = require('path');
+const fs = require('fs');
+const Handlebars = require('handlebars');
+const themeService = require('./themeService');
+
+const templatesDir = path.join(__dirname, '../../../templates');
+
+// Templates in this folder are registered as partials under their file name ({{> brand-footer}})
+const PARTIALS_DIR = 'partials';
+
+const TEMPLATE_EXT = '.hbs';
+
+// Helpers Handlebars ships with
+const BUILTIN_HELPERS = ['if', 'unless', 'each', 'with', 'lookup', 'log'];
+
+const engine = Handlebars.create();
+
+/**
+ * Escaping depends on where a value ends up:
+ * - HTML text and quoted attributes: {{value}} (Handlebars escapes & < > " ' ` =)
+ * - URLs in href/src: {{url value}}
+ * - JavaScript in <script> blocks: {{json value}}
+ * Inline event handlers (onclick="…") would need JavaScript and HTML escaping at once, so templates
+ * don't put values in them: they go in data-* attributes the page's script reads.
+ */
+const helpers = {
+  // Value as a JavaScript literal for inline scripts; "<" is escaped so "</script>" can't close the block
+  json: (value, indent) => new Handlebars.SafeString(
+    JSON.stringify(value ?? null, null, typeof indent === 'number' ? indent : undefined)
+      .replace(/</g, '\\u003c')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029')
+  ),
+  // Relative paths are percent-encoded segment by segment ("a b/#1" → "a%20b/%231"). Absolute URLs
+  // have to be http(s); other schemes (javascript:, data:) and protocol-relative URLs become "#".
+  // The result is still HTML-escaped for the attribute.
+  url: value => {
+    const text = String(value ?? '');
+    if (/^[a-z][a-z\d+.-]*:/i.test(text)) return /^https?:\/\//i.test(text) ? text : '#';
+    if (text.startsWith('//')) return '#';
+    return text.split('/').map(encodeURIComponent).join('/');
+  },
+  // "1 creative", "3 creatives"
+  plural: (count, singular, plural) => `${count} ${count === 1 ? singular : plural}`,
+  // ISO timestamp as a date, "—" when missing
+  date: isoDate => (typeof isoDate === 'string' && isoDate ? new Date(isoDate).toISOString().slice(0, 10) : '—'),
+  // The theme's colors and font as CSS custom properties, plus the branding styles
+  themeStyles: theme => new Handlebars.SafeString(themeService.getThemeStyles(theme)),
+};
+
+engine.registerHelper(helpers);
+
+let templates = null;
+
+/**
+ * Compile every template and register the partials, once
+ * @returns {Object} Compiled templates by name (path in templates/ without the extension, e.g. "themes/dark/gallery")
+ */
+function loadTemplates() {
+  if (templates) return templates;
+
+  const loaded = {};
+  for (const file of findTemplates(templatesDir)) {
+    const name = path.relative(templatesDir, file).split(path.sep).join('/').slice(0, -TEMPLATE_EXT.length);
+    const source = fs.readFileSync(file, 'utf-8');
+
+    if (name.startsWith(`${PARTIALS_DIR}/`)) {
+      engine.registerPartial(path.posix.basename(name), source);
+    } else {
+      loaded[name] = { file, source, render: engine.compile(source) };
+    }
+  }
+
+  templates = loaded;
+  return templates;
+}
+
+/**
+ * Check every template and partial up front, so a broken template stops the server at startup
+ * instead of failing the first preview that uses it. Templates must parse, and every partial
+ * and helper they call must exist.
+ * @returns {number} Number of page templates
+ * @throws {Error} Listing every problem, with the file it's in
+ */
+function validateTemplates() {
+  templates = null;
+  Object.keys(engine.partials).forEach(name => engine.unregisterPartial(name));
+
+  const problems = [];
+  const files = findTemplates(templatesDir);
+
+  for (const file of files) {
+    const relative = path.relative(templatesDir, file);
+    try {
+      walk(Handlebars.parse(fs.readFileSync(file, 'utf-8')), node => {
+        const problem = checkNode(node, files);
+        if (problem) problems.push(`${relative}:${node.loc.start.line}: ${problem}`);
+      });
+    } catch (error) {
+      // Parse errors span several lines: where, a snippet, then what was expected
+      const lines = error.message.split('\n');
+      problems.push(`${relative}: ${lines.length > 1 ? `${lines[0]} ${lines[lines.length - 1]}` : lines[0]}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid templates:\n  ${problems.join('\n  ')}`);
+  }
+
+  return Object.keys(loadTemplates()).length;
+}
+
+/**
+ * Render a template
+ * @param {string} name - Template name (e.g. "wrapper", "themes/dark/gallery")
+ * @param {Object} context - Template data
+ * @returns {string} Rendered output
+ */
+function render(name, context) {
+  const template = loadTemplates()[name];
+  if (!template) {
+    throw new Error(`Template not found: ${name}`);
+  }
+  return template.render(context);
+}
+
+/**
+ * Whether a template exists
+ * @param {string} name - Template name
+ * @returns {boolean}
+ */
+function hasTemplate(name) {
+  return Boolean(loadTemplates()[name]);
+}
+
+/**
+ * Partial or helper call that doesn't resolve
+ */
+function checkNode(node, files) {
+  if (node.type === 'PartialStatement' || node.type === 'PartialBlockStatement') {
+    // Dynamic partials and @partial-block are only known when rendering
+    if (node.name.type !== 'PathExpression' || node.name.data) return null;
+    const name = node.name.original;
+    const exists = files.some(file => path.basename(file, TEMPLATE_EXT) === name &&
+      path.basename(path.dirname(file)) === PARTIALS_DIR);
+    return exists ? null : `unknown partial "${name}"`;
+  }
+
+  // Anything called with arguments has to be a helper
+  const isCall = ['MustacheStatement', 'BlockStatement', 'SubExpression'].includes(node.type) &&
+    node.path.type === 'PathExpression' && (node.params.length > 0 || node.hash);
+  if (isCall && !BUILTIN_HELPERS.includes(node.path.original) && !engine.helpers[node.path.original]) {
+    return `unknown helper "${node.path.original}"`;
+  }
+  return null;
+}
+
+/**
+ * Visit every node of a template's syntax tree
+ */
+function walk(node, visit) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(child => walk(child, visit));
+    return;
+  }
+  if (node.type) visit(node);
+  Object.keys(node)
+    .filter(key => key !== 'loc')
+    .forEach(key => walk(node[key], visit));
+}
+
+function findTemplates(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findTemplates(fullPath);
+    return entry.name.endsWith(TEMPLATE_EXT) ? [fullPath] : [];
+  });
+}
+
+module.exports = {
+  helpers,
+  loadTemplates,
+  validateTemplates,
+  render,
+  hasTemplate,
+};
@@ -1,13 +1,30 @@
 /**
  * Template Generator Service
- * Generates index.html and data.js files for preview pages
+ * Generates index.html and data.js files for preview pages from the templates in templates/
  */
 
 const path = require('path');
-const fs = require('fs');
+const vastService = require('./vastService');
+const themeService = require('./themeService');
+const templateEngine = require('./templateEngine');
+const { getTextContent } = require('./fileTypeDetector');
 
-// Path to templates directory
-const templatesDir = path.join(__dirname, '../../../templates');
+// Folder the creative's own files are deployed to, next to the generated wrapper
+const CREATIVE_DIR = 'creative';
+
+// Device frames of the wrapper, by screen size in CSS pixels; each shows the creatives that fit its width
+const DEVICES = [
+  { id: 'phone', name: 'Phone', width: 375, height: 667 },
+  { id: 'tablet', name: 'Tablet', width: 768, height: 1024 },
+];
+
+// Standard IAB slots on the wrapper's mock article page; a creative fills the slot of its exact size
+const ARTICLE_SLOTS = {
+  leaderboard: { name: 'Leaderboard', width: 728, height: 90 },
+  mpu: { name: 'MPU', width: 300, height: 250 },
+  skyscraper: { name: 'Skyscraper', width: 160, height: 600 },
+  mobileBanner: { name: 'Mobile banner', width: 320, height: 50 },
+};
 
 /**
  * Generate preview templates based on creative content
@@ -17,19 +34,43 @@ const templatesDir = path.join(__dirname, '../../../templates');
  * @param {string} options.description - Creative description
  * @param {string} options.clientName - Client name
  * @param {Array} options.files - Extracted files from ZIP
+ * @param {Object} [options.dimensions] - Creative size ({ width, height })
+ * @param {Array} [options.creatives] - Creatives in the delivery ({ name, root, entryPath, dimensions }).
+ * Static banners also carry imagePath and get their entry page generated here; a video creative
+ * (format 'vast') is played from its VAST tag, which is generated here for raw videos.
+ * @param {string} [options.clickUrl] - Click-through URL for generated banner pages and VAST tags
+ * @param {string} [options.baseUrl] - Published URL of the preview folder, for absolute media URLs in VAST tags
+ * @param {Object} [options.branding] - Client branding the pages are themed with ({ theme, logoUrl, colors, footerText })
  * @returns {Promise<Array>} Generated template files
  */
-async function generate({ creativeName, folderPath, description, clientName, files }) {
+async function generate({ creativeName, folderPath, description, clientName, files, dimensions, creatives = [], clickUrl, baseUrl, branding }) {
   const templates = [];
+  const theme = themeService.resolveTheme(branding);
 
   // Find images in the files
   const images = files.filter(f => f.type === 'image');
-  
-  // Check if there's already an index.html in the extracted files
-  const existingHtmlFile = files.find(f => 
-    f.path.toLowerCase().endsWith('index.html') ||
-    f.path.toLowerCase().endsWith('index.htm')
-  );
+
+  // Static banners get a page of their own size, so they frame like any HTML creative
+  const bannerPages = creatives
+    .filter(creative => creative.imagePath)
+    .map(banner => ({
+      path: banner.entryPath,
+      content: generateBannerHtml({ banner, clickUrl }),
+      encoding: 'utf-8',
+      type: 'html',
+    }));
+  const sources = [...files, ...bannerPages];
+
+  // clickTag variables each creative declares, for the click-through harness
+  const framed = creatives.map((creative) => {
+    const creativeSources = getCreativeSources(sources, creative);
+    return {
+      ...creative,
+      clickTags: detectClickTags(creativeSources),
+      scopedClickTags: detectClickTags(creativeSources, { scoped: true }),
+    };
+  });
+  const clickTags = [...new Set(framed.flatMap(creative => creative.clickTags))];
 
   // Generate data.js with creative metadata
   const dataJs = generateDataJs({
@@ -38,6 +79,9 @@ async function generate({ creativeName, folderPath, description, clientName, fil
     clientName,
     images,
     files,
+    clickTags,
+    dimensions,
+    creatives,
   });
   
   templates.push({
@@ -47,14 +91,36 @@ async function generate({ creativeName, folderPath, description, clientName, fil
     type: 'javascript',
   });
 
+  // Banner pages live with the creative's files they show
+  bannerPages.forEach(page => templates.push({ ...page, path: `${CREATIVE_DIR}/${page.path}` }));
+
+  // Video deliveries play their VAST tag; raw videos get one written for them
+  const video = creatives.find(creative => creative.format === 'vast');
+  if (video?.generated) {
+    templates.push({
+      path: `${CREATIVE_DIR}/${video.entryPath}`,
+      content: generateVideoVast({ creativeName, description, video, files, clickUrl, baseUrl }),
+      encoding: 'utf-8',
+      type: 'xml',
+    });
+  }
+
   // Always generate an index.html at the root
-  // If there's an existing HTML, create a wrapper that embeds it
-  if (existingHtmlFile) {
+  // Video gets a VAST player; HTML creatives get a wrapper that embeds every one of them
+  if (video) {
+    templates.push({
+      path: 'index.html',
+      content: generateVideoHtml({ creativeName, description, clientName, video, theme }),
+      encoding: 'utf-8',
+      type: 'html',
+    });
+  } else if (framed.length > 0) {
     const wrapperHtml = generateWrapperHtml({
       creativeName,
       description,
       clientName,
-      existingHtmlPath: existingHtmlFile.path,
+      creatives: framed,
+      theme,
     });
 
     templates.push({
@@ -69,6 +135,8 @@ async function generate({ creativeName, folderPath, description, clientName, fil
       description,
       clientName,
       images,
+      files,
+      theme,
     });
 
     templates.push({
@@ -85,7 +153,7 @@ async function generate({ creativeName, folderPath, description, clientName, fil
 /**
  * Generate data.js content
  */
-function generateDataJs({ creativeName, description, clientName, images, files }) {
+function generateDataJs({ creativeName, description, clientName, images, files, clickTags = [], dimensions = null, creatives = [] }) {
   const imageData = images.map(img => ({
     path: img.path,
     name: path.basename(img.path),
@@ -103,290 +171,340 @@ function generateDataJs({ creativeName, description, clientName, images, files }
     createdAt: new Date().toISOString(),
     images: imageData,
     files: fileList,
+    // Image, file and entry paths are relative to the creative folder
+    creativeDir: CREATIVE_DIR,
+    clickTags,
+    dimensions: dimensions && { width: dimensions.width, height: dimensions.height },
+    creatives: creatives.map(c => ({
+      name: c.name,
+      entryPath: c.entryPath,
+      dimensions: c.dimensions,
+      imagePath: c.imagePath,
+      animation: c.animation,
+      format: c.format,
+      duration: c.duration,
+    })),
   };
 
-  return `/**
- * Creative Preview Data
- * Auto-generated by Ad Preview Staging Tool
+  return templateEngine.render('data.js', { data, createdAt: data.createdAt });
+}
+
+/**
+ * Generate the page for a static banner: the image at its pixel size, linked through clickTag
+ * @param {Object} options - Page options
+ * @param {Object} options.banner - Banner ({ name, entryPath, imagePath, dimensions })
+ * @param {string} [options.clickUrl] - Click-through URL used when the ad server passes none
+ * @returns {string} Banner HTML
  */
-const CREATIVE_DATA = ${JSON.stringify(data, null, 2)};
+function generateBannerHtml({ banner, clickUrl }) {
+  return templateEngine.render('banner', {
+    name: banner.name,
+    width: banner.dimensions.width,
+    height: banner.dimensions.height,
+    // The page sits next to its image
+    src: path.posix.basename(banner.imagePath),
+    clickUrl: clickUrl || '',
+  });
+}
 
-// Export for module environments
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = CREATIVE_DATA;
+/**
+ * Generate the VAST tag for a delivery of raw video files
+ * @param {Object} options - Tag options
+ * @param {Object} options.video - Video creative ({ entryPath, duration, media, companions })
+ * @param {Array} options.files - Extracted files from ZIP
+ * @param {string} [options.clickUrl] - Click-through URL
+ * @param {string} [options.baseUrl] - Published URL of the preview folder
+ * @returns {string} VAST XML
+ */
+function generateVideoVast({ creativeName, description, video, files, clickUrl, baseUrl }) {
+  // Media sit next to the tag in the creative folder; without a published URL they stay relative to it
+  const assetUrl = filePath => {
+    const relative = filePath.split('/').map(encodeURIComponent).join('/');
+    return baseUrl ? new URL(`${CREATIVE_DIR}/${relative}`, baseUrl).href : relative;
+  };
+
+  return vastService.buildVast({
+    id: creativeName.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+    title: creativeName,
+    description,
+    media: video.media.map(file => ({
+      url: assetUrl(file.path),
+      mimeType: file.mimeType,
+      width: file.width,
+      height: file.height,
+    })),
+    duration: video.duration,
+    clickUrl,
+    companions: video.companions.map(companion => ({
+      url: assetUrl(companion.imagePath),
+      mimeType: files.find(f => f.path === companion.imagePath)?.mimeType || 'image/png',
+      width: companion.dimensions.width,
+      height: companion.dimensions.height,
+    })),
+  });
 }
-`;
+
+/**
+ * Find the clickTag variables a creative declares (clickTag, clickTAG, clickTag2, ...)
+ * @param {Array} files - Extracted files from ZIP
+ * @param {Object} [options] - Detection options
+ * @param {boolean} [options.scoped] - Only variables declared with let or const. Those aren't
+ *   properties of window, so the harness can't set them from outside the creative
+ * @returns {Array<string>} Variable names in order of first declaration
+ */
+function detectClickTags(files, { scoped = false } = {}) {
+  const scopedPattern = /\b(?:let|const)\s+(clickTag\w*)\b/gi;
+  const patterns = scoped ? [scopedPattern] : [
+    /\bvar\s+(clickTag\w*)\b/gi,
+    scopedPattern,
+    /\bwindow\s*\.\s*(clickTag\w*)\s*=/gi,
+    /\bwindow\s*\[\s*["'](clickTag\w*)["']\s*\]\s*=/gi,
+  ];
+  const names = new Set();
+
+  files
+    .filter(f => f.type === 'html' || f.type === 'javascript')
+    .forEach(f => {
+      const text = getTextContent(f);
+      patterns
+        .flatMap(pattern => [...text.matchAll(pattern)])
+        .sort((a, b) => a.index - b.index)
+        .forEach(match => names.add(match[1]));
+    });
+
+  return [...names];
 }
 
 /**
- * Generate wrapper HTML that embeds an existing creative HTML file
+ * Script sources belonging to one creative: its entry page and the scripts in its folder
+ * (sibling HTML files in a shared folder are other creatives)
  */
-function generateWrapperHtml({ creativeName, description, clientName, existingHtmlPath }) {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${escapeHtml(creativeName)} - Preview</title>
-  <style>
-    * { box-sizing: border-box; margin: 0; padding: 0; }
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
-      min-height: 100vh;
-      color: #fff;
-    }
-    header {
-      text-align: center;
-      padding: 30px 20px;
-      background: rgba(0,0,0,0.3);
-    }
-    h1 {
-      font-size: 1.8rem;
-      background: linear-gradient(90deg, #00d9ff, #00ff88);
-      -webkit-background-clip: text;
-      -webkit-text-fill-color: transparent;
-      margin-bottom: 8px;
-    }
-    .meta {
-      color: rgba(255,255,255,0.6);
-      font-size: 0.9rem;
-    }
-    .meta span { margin: 0 10px; }
-    .preview-container {
-      display: flex;
-      justify-content: center;
-      align-items: flex-start;
-      padding: 30px;
-      min-height: calc(100vh - 120px);
-    }
-    .creative-frame {
-      background: #fff;
-      border-radius: 8px;
-      box-shadow: 0 20px 60px rgba(0,0,0,0.5);
-      overflow: hidden;
-    }
-    iframe {
-      display: block;
-      border: none;
-    }
-    .direct-link {
-      text-align: center;
-      padding: 20px;
-    }
-    .direct-link a {
-      color: #00d9ff;
-      text-decoration: none;
-    }
-    .direct-link a:hover {
-      text-decoration: underline;
-    }
-  </style>
-</head>
-<body>
-  <header>
-    <h1>${escapeHtml(creativeName)}</h1>
-    <div class="meta">
-      ${clientName ? `<span>Client: ${escapeHtml(clientName)}</span>` : ''}
-      ${description ? `<span>${escapeHtml(description)}</span>` : ''}
-    </div>
-  </header>
-  
-  <div class="preview-container">
-    <div class="creative-frame">
-      <iframe 
-        id="creativeFrame"
-        src="${escapeHtml(existingHtmlPath)}"
-        width="160"
-        height="600"
-        scrolling="no">
-      </iframe>
-    </div>
-  </div>
-  
-  <div class="direct-link">
-    <a href="${escapeHtml(existingHtmlPath)}" target="_blank">Open creative directly ↗</a>
-  </div>
-
-  <script>
-    // Try to detect creative dimensions from the filename or content
-    const iframe = document.getElementById('creativeFrame');
-    const src = iframe.src;
-    
-    // Parse dimensions from common filename patterns like 160x600, 300x250, etc.
-    const dimMatch = src.match(/(\\d{2,4})x(\\d{2,4})/i);
-    if (dimMatch) {
-      iframe.width = dimMatch[1];
-      iframe.height = dimMatch[2];
-    }
-  </script>
-</body>
-</html>`;
+function getCreativeSources(files, { root, entryPath }) {
+  return files.filter(f => {
+    if (root && !f.path.startsWith(`${root}/`)) return false;
+    return f.type === 'javascript' || f.path === entryPath ||
+      (f.type === 'html' && path.posix.dirname(f.path) !== (root || '.'));
+  });
 }
 
 /**
- * Generate index.html content
+ * Generate wrapper HTML that embeds the creative HTML files of a delivery
+ * Multi-size deliveries get one labelled frame per creative, each at its own size,
+ * grouped by size like the campaign index.
+ * The wrapper doubles as a click-through test harness: each detected clickTag gets a
+ * test URL (overridable with ?clickTag=… or ?clickUrl=… on the preview link), and
+ * window.open calls, link clicks and frame navigations are logged instead of followed.
+ * Besides the bare creatives, the wrapper offers presentation modes where they apply: phone and
+ * tablet frames for creatives that fit the screen, and a mock article page whose IAB slots are
+ * filled by the creatives of matching size.
+ * @param {Object} options - Wrapper options
+ * @param {Array} options.creatives - Creatives to frame ({ name, entryPath, dimensions, clickTags, scopedClickTags })
+ * @param {Object} [options.theme] - Resolved theme (defaults to the default theme)
  */
-function generateIndexHtml({ creativeName, description, clientName, images }) {
-  // Try to load custom template
-  let template;
-  try {
-    const templatePath = path.join(templatesDir, 'index.html');
-    if (fs.existsSync(templatePath)) {
-      template = fs.readFileSync(templatePath, 'utf-8');
-    }
-  } catch (err) {
-    console.log('Using default template');
-  }
+function generateWrapperHtml({ creativeName, description, clientName, creatives, theme = themeService.resolveTheme() }) {
+  const isMultiSize = creatives.length > 1;
+  // Sizes end up in style attributes, so only numbers get through
+  const toFrame = creative => ({
+    name: creative.name,
+    src: `${CREATIVE_DIR}/${creative.entryPath}`,
+    width: Number(creative.dimensions?.width) || 300,
+    height: Number(creative.dimensions?.height) || 250,
+  });
+  const groups = groupBySize(creatives).map(group => ({
+    size: group.size,
+    creatives: group.creatives.map(toFrame),
+  }));
 
-  // Use default template if custom not found
-  if (!template) {
-    template = getDefaultTemplate();
-  }
+  // Only creatives of a known size are placed in devices and slots
+  const sized = creatives.filter(creative => Number(creative.dimensions?.width)).map(toFrame);
+  const devices = DEVICES
+    .map(device => ({ ...device, creatives: sized.filter(frame => frame.width <= device.width) }))
+    .filter(device => device.creatives.length > 0);
+
+  const article = Object.fromEntries(Object.entries(ARTICLE_SLOTS).map(([id, slot]) => [id, {
+    ...slot,
+    creative: sized.find(frame => frame.width === slot.width && frame.height === slot.height) || null,
+  }]));
+  const hasArticle = Object.values(article).some(slot => slot.creative);
+  const modes = [
+    ...devices.map(device => ({ id: device.id, name: device.name })),
+    ...(hasArticle ? [{ id: 'article', name: 'Article' }] : []),
+  ];
 
-  // Replace placeholders
-  const html = template
-    .replace(/{{CREATIVE_NAME}}/g, escapeHtml(creativeName))
-    .replace(/{{DESCRIPTION}}/g, escapeHtml(description || ''))
-    .replace(/{{CLIENT_NAME}}/g, escapeHtml(clientName || ''))
-    .replace(/{{IMAGES}}/g, generateImageGallery(images))
-    .replace(/{{GENERATED_DATE}}/g, new Date().toISOString());
+  return templateEngine.render('wrapper', {
+    creativeName,
+    description,
+    clientName,
+    theme,
+    groups,
+    showSizeLabels: groups.length > 1,
+    isMultiSize,
+    modes,
+    devices,
+    article: hasArticle ? article : null,
+    directLink: `${CREATIVE_DIR}/${creatives[0].entryPath}`,
+    clickTags: [...new Set(creatives.flatMap(c => c.clickTags || []))],
+    scopedClickTags: [...new Set(creatives.flatMap(c => c.scopedClickTags || []))],
+  });
+}
+
+/**
+ * Generate the preview page for a video creative: an HTML5 player that loads the VAST tag
+ * the way an ad server's player would. It follows wrappers, picks a MediaFile the browser
+ * can play, counts down the skip offset and shows companion banners. Tracking events are
+ * logged in a side panel; they are only requested when the page is opened with ?fireTracking=1.
+ * ?vast=… plays another tag instead of the delivered one.
+ * @param {Object} options - Page options
+ * @param {Object} options.video - Video creative ({ name, entryPath, dimensions })
+ * @param {Object} [options.theme] - Resolved theme (defaults to the default theme)
+ * @returns {string} Player HTML
+ */
+function generateVideoHtml({ creativeName, description, clientName, video, theme = themeService.resolveTheme() }) {
+  return templateEngine.render('video', {
+    creativeName,
+    description,
+    clientName,
+    theme,
+    vastUrl: `${CREATIVE_DIR}/${video.entryPath}`,
+    width: video.dimensions?.width || 16,
+    height: video.dimensions?.height || 9,
+  });
+}
 
-  return html;
+/**
+ * Generate the canonical index.html that forwards to the current version folder
+ * Query string and hash are carried over so test parameters survive the redirect.
+ * @param {Object} options - Redirect options
+ * @param {string} options.creativeName - Name of the creative
+ * @param {string} options.target - Relative path of the version folder (e.g. "v3/")
+ * @returns {string} Redirect HTML
+ */
+function generateRedirectHtml({ creativeName, target }) {
+  return templateEngine.render('redirect', { creativeName, target });
 }
 
 /**
- * Generate image gallery HTML
+ * Card thumbnail: the creative's size and the scale that fits it in the card
  */
-function generateImageGallery(images) {
-  if (!images || images.length === 0) {
-    return '<p class="no-images">No images found in this creative</p>';
+function getThumbnail(thumbnail) {
+  if (!thumbnail) return null;
+
+  const width = thumbnail.width || 300;
+  const height = thumbnail.height || 250;
+  const scale = Math.min(1, 220 / width, 140 / height);
+
+  return { src: thumbnail.src, width, height, scale: scale.toFixed(3) };
+}
+
+/**
+ * Group creatives by size, largest first; creatives without a known size come last
+ * @param {Array} creatives - Creatives ({ dimensions })
+ * @returns {Array} Groups ({ size, width, height, creatives })
+ */
+function groupBySize(creatives) {
+  const groups = new Map();
+
+  for (const creative of creatives) {
+    const { width, height } = creative.dimensions || {};
+    const size = width && height ? `${width}×${height}` : 'Other';
+    if (!groups.has(size)) groups.set(size, { size, width, height, creatives: [] });
+    groups.get(size).creatives.push(creative);
   }
 
-  return images.map(img => `
-    <div class="gallery-item">
-      <img src="${escapeHtml(img.path)}" alt="${escapeHtml(path.basename(img.path))}" loading="lazy">
-      <span class="image-name">${escapeHtml(path.basename(img.path))}</span>
-    </div>
-  `).join('\n');
+  const area = group => (group.width ? group.width * group.height : -1);
+  return [...groups.values()].sort((a, b) => area(b) - area(a));
 }
 
 /**
- * Escape HTML special characters
+ * Generate a campaign's index page: every creative framed at its size, grouped by size,
+ * with a locale filter when the campaign has more than one locale
+ * @param {Object} options - Page options
+ * @param {Object} options.client - Client record ({ name })
+ * @param {Object} options.campaign - Campaign record ({ name })
+ * @param {Array} options.creatives - Creatives ({ creativeName, slug, locale, dimensions }), slug relative to the campaign folder
+ * @param {Object} [options.theme] - Resolved theme (defaults to the default theme)
+ * @returns {string} Campaign index HTML
  */
-function escapeHtml(text) {
-  if (!text) return '';
-  const map = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#039;',
-  };
-  return text.replace(/[&<>"']/g, m => map[m]);
+function generateCampaignIndexHtml({ client, campaign, creatives, theme = themeService.resolveTheme() }) {
+  const locales = [...new Set(creatives.map(c => c.locale))];
+
+  return templateEngine.render('campaign-index', {
+    client,
+    campaign,
+    theme,
+    creativeCount: creatives.length,
+    generatedDate: new Date().toLocaleDateString(),
+    showFilters: locales.length > 1,
+    locales,
+    // Sizes end up in style attributes, so only numbers get through
+    sizeGroups: groupBySize(creatives).map(group => ({
+      size: group.size,
+      width: Number(group.width) || 300,
+      height: Number(group.height) || 250,
+      creatives: group.creatives,
+    })),
+  });
 }
 
 /**
- * Get default HTML template
+ * Generate a client landing page listing all of the client's campaigns
+ * @param {Object} options - Page options
+ * @param {Object} options.client - Client record ({ name })
+ * @param {Array} options.campaigns - Campaign summaries ({ name, slug, creativeCount, updatedAt, thumbnail })
+ * @param {boolean} [options.hasRootIndex] - Whether to link back to the portfolio index
+ * @returns {string} Client index HTML
  */
-function getDefaultTemplate() {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>{{CREATIVE_NAME}} - Preview</title>
-  <style>
-    * { box-sizing: border-box; margin: 0; padding: 0; }
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
-      min-height: 100vh;
-      color: #fff;
-      padding: 40px 20px;
-    }
-    .container { max-width: 1200px; margin: 0 auto; }
-    header {
-      text-align: center;
-      margin-bottom: 40px;
-    }
-    h1 {
-      font-size: 2.5rem;
-      background: linear-gradient(90deg, #00d9ff, #00ff88);
-      -webkit-background-clip: text;
-      -webkit-text-fill-color: transparent;
-      margin-bottom: 10px;
-    }
-    .meta {
-      color: rgba(255,255,255,0.6);
-      font-size: 0.9rem;
-    }
-    .description {
-      margin-top: 15px;
-      color: rgba(255,255,255,0.8);
-    }
-    .gallery {
-      display: grid;
-      grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
-      gap: 20px;
-    }
-    .gallery-item {
-      background: rgba(255,255,255,0.05);
-      border: 1px solid rgba(255,255,255,0.1);
-      border-radius: 12px;
-      padding: 15px;
-      text-align: center;
-    }
-    .gallery-item img {
-      max-width: 100%;
-      height: auto;
-      border-radius: 8px;
-    }
-    .image-name {
-      display: block;
-      margin-top: 10px;
-      font-size: 0.85rem;
-      color: rgba(255,255,255,0.5);
-      word-break: break-all;
-    }
-    .no-images {
-      text-align: center;
-      color: rgba(255,255,255,0.5);
-      padding: 40px;
-    }
-    footer {
-      text-align: center;
-      margin-top: 40px;
-      padding-top: 20px;
-      border-top: 1px solid rgba(255,255,255,0.1);
-      color: rgba(255,255,255,0.4);
-      font-size: 0.85rem;
-    }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <header>
-      <h1>{{CREATIVE_NAME}}</h1>
-      <p class="meta">{{CLIENT_NAME}}</p>
-      <p class="description">{{DESCRIPTION}}</p>
-    </header>
-    <div class="gallery">
-      {{IMAGES}}
-    </div>
-    <footer>
-      <p>Generated on {{GENERATED_DATE}}</p>
-      <p>Ad Preview Staging Tool</p>
-    </footer>
-  </div>
-  <script src="data.js"></script>
-</body>
-</html>`;
+function generateClientIndexHtml({ client, campaigns, hasRootIndex = false }) {
+  return templateEngine.render('client-index', {
+    client,
+    campaigns: campaigns.map(campaign => ({ ...campaign, thumbnail: getThumbnail(campaign.thumbnail) })),
+    hasRootIndex,
+    generatedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Generate the portfolio index listing every client
+ * @param {Object} options - Page options
+ * @param {Array} options.clients - Client summaries ({ name, slug, campaignCount, creativeCount, updatedAt, thumbnail })
+ * @returns {string} Root index HTML
+ */
+function generateRootIndexHtml({ clients }) {
+  return templateEngine.render('root-index', {
+    clients: clients.map(client => ({ ...client, thumbnail: getThumbnail(client.thumbnail) })),
+    generatedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Generate index.html content: the image gallery, from the theme's gallery template when it has one
+ */
+function generateIndexHtml({ creativeName, description, clientName, images, files = [], theme = themeService.resolveTheme() }) {
+  return templateEngine.render(theme.galleryTemplate || 'gallery', {
+    creativeName,
+    description,
+    clientName,
+    theme,
+    images: images.map(img => ({
+      src: `${CREATIVE_DIR}/${img.path}`,
+      name: path.basename(img.path),
+    })),
+    files: files.map(f => ({ path: f.path, type: f.type })),
+    generatedDate: new Date().toISOString(),
+  });
 }
 
 module.exports = {
+  CREATIVE_DIR,
   generate,
   generateDataJs,
+  generateWrapperHtml,
+  generateBannerHtml,
+  generateVideoHtml,
+  detectClickTags,
   generateIndexHtml,
-  escapeHtml,
+  generateRedirectHtml,
+  generateCampaignIndexHtml,
+  generateClientIndexHtml,
+  generateRootIndexHtml,
 };
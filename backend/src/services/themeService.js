@@ -0,0 +1,205 @@
+/**
+ * Theme Service
+ * Loads the preview page themes from templates/themes and applies client branding to them
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Each theme is a folder with a theme.json and, optionally, a gallery.hbs gallery template
+const themesDir = path.join(__dirname, '../../../templates/themes');
+
+const DEFAULT_THEME = 'dark';
+
+// Colors every theme defines; pages read them as CSS custom properties (textMuted → --text-muted)
+const COLOR_KEYS = ['background', 'header', 'surface', 'border', 'text', 'textMuted', 'textFaint', 'accent', 'accentAlt', 'frame'];
+
+// Client colors are limited to plain color values so they can't break out of the style block
+const CSS_COLOR = /^(?:#[0-9a-f]{3,8}|(?:rgb|hsl)a?\([\d\s.,%/]+\)|[a-z]+)$/i;
+
+const MAX_FOOTER_LENGTH = 200;
+
+let themes = null;
+
+/**
+ * Read the theme folders once; themes with missing colors are skipped
+ * @returns {Object} Themes by id
+ */
+function loadThemes() {
+  if (themes) return themes;
+
+  themes = {};
+  const folders = fs.existsSync(themesDir)
+    ? fs.readdirSync(themesDir, { withFileTypes: true }).filter(entry => entry.isDirectory())
+    : [];
+
+  for (const folder of folders) {
+    const dir = path.join(themesDir, folder.name);
+    try {
+      const config = JSON.parse(fs.readFileSync(path.join(dir, 'theme.json'), 'utf-8'));
+      const missing = COLOR_KEYS.filter(key => !config.colors?.[key]);
+      if (missing.length > 0) {
+        throw new Error(`missing colors: ${missing.join(', ')}`);
+      }
+
+      themes[folder.name] = {
+        id: folder.name,
+        name: config.name || folder.name,
+        font: config.font || 'sans-serif',
+        colors: config.colors,
+        footerText: config.footerText || null,
+        // Template name for the template engine
+        galleryTemplate: fs.existsSync(path.join(dir, 'gallery.hbs')) ? `themes/${folder.name}/gallery` : null,
+      };
+    } catch (error) {
+      console.warn(`⚠️  Skipping theme "${folder.name}": ${error.message}`);
+    }
+  }
+
+  return themes;
+}
+
+/**
+ * Whether a theme id names a loaded theme (and not an Object.prototype key like "constructor")
+ */
+function hasTheme(id) {
+  return typeof id === 'string' && Object.hasOwn(loadThemes(), id);
+}
+
+/**
+ * Theme used when a client hasn't picked one: DEFAULT_THEME, falling back to dark
+ */
+function getDefaultThemeId() {
+  const configured = process.env.DEFAULT_THEME;
+  return hasTheme(configured) ? configured : DEFAULT_THEME;
+}
+
+/**
+ * List available themes for the UI
+ * @returns {Array} Theme summaries ({ id, name, colors, isDefault })
+ */
+function listThemes() {
+  const defaultId = getDefaultThemeId();
+  return Object.values(loadThemes()).map(theme => ({
+    id: theme.id,
+    name: theme.name,
+    colors: theme.colors,
+    isDefault: theme.id === defaultId,
+  }));
+}
+
+/**
+ * The theme a client's pages are rendered with: their chosen theme (or the default)
+ * with their colors, logo and footer text applied
+ * @param {Object} [branding] - Client branding ({ theme, logoUrl, colors, footerText })
+ * @returns {Object} Theme ({ id, name, font, colors, logoUrl, footerText, galleryTemplate })
+ */
+function resolveTheme(branding) {
+  const available = loadThemes();
+  // A client may still point at a theme that has since been removed
+  const theme = available[hasTheme(branding?.theme) ? branding.theme : getDefaultThemeId()];
+  if (!theme) {
+    throw new Error(`Theme "${getDefaultThemeId()}" not found in ${themesDir}`);
+  }
+
+  return {
+    ...theme,
+    colors: { ...theme.colors, ...branding?.colors },
+    logoUrl: branding?.logoUrl || null,
+    footerText: branding?.footerText || theme.footerText,
+  };
+}
+
+/**
+ * CSS declaring the theme's custom properties and the shared branding classes
+ * @param {Object} theme - Resolved theme
+ * @returns {string} CSS for the top of a page's style block
+ */
+function getThemeStyles(theme) {
+  const properties = COLOR_KEYS.map(key => `      --${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}: ${theme.colors[key]};`);
+
+  return `
+    :root {
+${properties.join('\n')}
+      --font: ${theme.font};
+    }
+    .brand-logo { display: block; max-width: 240px; max-height: 48px; }
+    .brand-footer {
+      text-align: center;
+      padding: 20px;
+      color: var(--text-faint);
+      font-size: 0.8rem;
+    }`;
+}
+
+/**
+ * Check client branding sent to the API. Empty fields mean "use the theme's default".
+ * @param {Object|null} [input] - Branding ({ theme, logoUrl, colors, footerText }); null means none
+ * @returns {Object} Branding to store on the client record
+ * @throws {Error} With status 400 when a field is invalid
+ */
+function validateBranding(input) {
+  if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+    throw badRequest('branding must be an object');
+  }
+  const { theme, logoUrl, colors, footerText } = input || {};
+
+  if (theme !== undefined && theme !== null && typeof theme !== 'string') {
+    throw badRequest('theme must be a theme id');
+  }
+  if (theme && !hasTheme(theme)) {
+    throw badRequest(`Unknown theme "${theme}". Available: ${Object.keys(loadThemes()).join(', ')}`);
+  }
+
+  if (logoUrl && !isHttpUrl(logoUrl)) {
+    throw badRequest('logoUrl must be an http(s) URL');
+  }
+
+  if (colors !== undefined && colors !== null && (typeof colors !== 'object' || Array.isArray(colors))) {
+    throw badRequest('colors must be an object');
+  }
+  const brandColors = {};
+  for (const [key, value] of Object.entries(colors || {})) {
+    if (!COLOR_KEYS.includes(key)) {
+      throw badRequest(`Unknown color "${key}". Available: ${COLOR_KEYS.join(', ')}`);
+    }
+    if (value === null || value === '') continue;
+    if (typeof value !== 'string' || !CSS_COLOR.test(value.trim())) {
+      throw badRequest(`colors.${key} must be a CSS color (hex, rgb(), hsl() or a color name)`);
+    }
+    brandColors[key] = value.trim();
+  }
+
+  if (footerText && (typeof footerText !== 'string' || footerText.length > MAX_FOOTER_LENGTH)) {
+    throw badRequest(`footerText must be text of at most ${MAX_FOOTER_LENGTH} characters`);
+  }
+
+  return {
+    theme: theme || null,
+    logoUrl: logoUrl || null,
+    colors: brandColors,
+    footerText: footerText ? footerText.trim() : null,
+  };
+}
+
+function isHttpUrl(value) {
+  try {
+    return typeof value === 'string' && ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+module.exports = {
+  COLOR_KEYS,
+  listThemes,
+  resolveTheme,
+  getThemeStyles,
+  validateBranding,
+};
@@ -0,0 +1,171 @@
+/**
+ * VAST Service
+ * Reads and writes VAST video ad tags
+ */
+
+const VAST_VERSION = '4.0';
+
+// Generated tags point their tracking at a placeholder; the preview player only logs them
+const TRACKING_URL = 'https://example.com/vast-tracking';
+
+const TRACKING_EVENTS = [
+  'creativeView', 'start', 'firstQuartile', 'midpoint', 'thirdQuartile', 'complete',
+  'pause', 'resume', 'mute', 'unmute', 'skip',
+];
+
+// Seconds into the ad after which generated tags can be skipped
+const SKIP_OFFSET = 5;
+
+/**
+ * Whether a text file is a VAST document
+ * @param {string} content - File content
+ * @returns {boolean}
+ */
+function isVastXml(content) {
+  return /^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<VAST[\s>]/i.test(content);
+}
+
+/**
+ * Summarize a VAST document. This reads what the server needs (size, duration, checks);
+ * the preview page does the full parse in the browser.
+ * @param {string} xml - VAST XML
+ * @returns {Object} { version, isWrapper, adTitle, duration (ms), skipOffset, mediaFiles, impressions,
+ * clickThrough, trackingEvents, companions }
+ */
+function parseVast(xml) {
+  const mediaFiles = [...xml.matchAll(/<MediaFile\b([^>]*)>([\s\S]*?)<\/MediaFile>/gi)].map(([, attrs, body]) => ({
+    url: getText(body),
+    type: getAttr(attrs, 'type'),
+    width: Number(getAttr(attrs, 'width')) || null,
+    height: Number(getAttr(attrs, 'height')) || null,
+  }));
+
+  return {
+    version: getAttr(xml.match(/<VAST\b[^>]*>/i)?.[0] || '', 'version'),
+    isWrapper: /<Wrapper[\s>]/i.test(xml),
+    adTitle: getText(xml.match(/<AdTitle\b[^>]*>([\s\S]*?)<\/AdTitle>/i)?.[1] || '') || null,
+    duration: parseTime(getText(xml.match(/<Duration\b[^>]*>([\s\S]*?)<\/Duration>/i)?.[1] || '')),
+    skipOffset: getAttr(xml.match(/<Linear\b[^>]*>/i)?.[0] || '', 'skipoffset'),
+    mediaFiles,
+    impressions: (xml.match(/<Impression\b/gi) || []).length,
+    clickThrough: getText(xml.match(/<ClickThrough\b[^>]*>([\s\S]*?)<\/ClickThrough>/i)?.[1] || '') || null,
+    trackingEvents: [...new Set([...xml.matchAll(/<Tracking\b[^>]*\bevent\s*=\s*["']([^"']+)/gi)].map(m => m[1]))],
+    companions: (xml.match(/<Companion\b/gi) || []).length,
+  };
+}
+
+/**
+ * Build a VAST 4 InLine tag for raw video files
+ * @param {Object} options - Tag options
+ * @param {string} options.id - Ad id
+ * @param {string} options.title - Ad title
+ * @param {string} [options.description] - Ad description
+ * @param {Array} options.media - Renditions ({ url, mimeType, width, height })
+ * @param {number} [options.duration] - Duration in milliseconds
+ * @param {string} [options.clickUrl] - Click-through URL
+ * @param {Array} [options.companions] - Companion banners ({ url, mimeType, width, height })
+ * @returns {string} VAST XML
+ */
+function buildVast({ id, title, description, media, duration, clickUrl, companions = [] }) {
+  const tracking = event => `${TRACKING_URL}?event=${event}&cb=[CACHEBUSTING]`;
+  const skippable = duration && duration > SKIP_OFFSET * 1000;
+
+  const mediaFiles = media.map(file => `
+              <MediaFile delivery="progressive" type="${escapeXml(file.mimeType)}"${file.width ? ` width="${file.width}" height="${file.height}"` : ''}>${cdata(file.url)}</MediaFile>`).join('');
+
+  const trackingEvents = TRACKING_EVENTS
+    .filter(event => event !== 'skip' || skippable)
+    .map(event => `
+              <Tracking event="${event}">${cdata(tracking(event))}</Tracking>`).join('');
+
+  const companionAds = companions.length > 0 ? `
+        <Creative id="${escapeXml(id)}-companions" sequence="1">
+          <CompanionAds>${companions.map(companion => `
+            <Companion width="${companion.width}" height="${companion.height}">
+              <StaticResource creativeType="${escapeXml(companion.mimeType)}">${cdata(companion.url)}</StaticResource>
+              <TrackingEvents>
+                <Tracking event="creativeView">${cdata(tracking('companionView'))}</Tracking>
+              </TrackingEvents>${clickUrl ? `
+              <CompanionClickThrough>${cdata(clickUrl)}</CompanionClickThrough>` : ''}
+              <CompanionClickTracking>${cdata(tracking('companionClick'))}</CompanionClickTracking>
+            </Companion>`).join('')}
+          </CompanionAds>
+        </Creative>` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<VAST version="${VAST_VERSION}" xmlns="http://www.iab.com/VAST">
+  <Ad id="${escapeXml(id)}">
+    <InLine>
+      <AdSystem version="1.0">Ad Preview Staging Tool</AdSystem>
+      <AdTitle>${escapeXml(title)}</AdTitle>${description ? `
+      <Description>${escapeXml(description)}</Description>` : ''}
+      <Impression id="preview">${cdata(tracking('impression'))}</Impression>
+      <Error>${cdata(`${TRACKING_URL}?event=error&code=[ERRORCODE]`)}</Error>
+      <Creatives>
+        <Creative id="${escapeXml(id)}" sequence="1">
+          <UniversalAdId idRegistry="unknown">${escapeXml(id)}</UniversalAdId>
+          <Linear${skippable ? ` skipoffset="${formatTime(SKIP_OFFSET * 1000)}"` : ''}>
+            <Duration>${formatTime(duration || 0)}</Duration>
+            <TrackingEvents>${trackingEvents}
+            </TrackingEvents>
+            <VideoClicks>${clickUrl ? `
+              <ClickThrough id="clickThrough">${cdata(clickUrl)}</ClickThrough>` : ''}
+              <ClickTracking>${cdata(tracking('click'))}</ClickTracking>
+            </VideoClicks>
+            <MediaFiles>${mediaFiles}
+            </MediaFiles>
+          </Linear>
+        </Creative>${companionAds}
+      </Creatives>
+    </InLine>
+  </Ad>
+</VAST>
+`;
+}
+
+/**
+ * Milliseconds from a VAST time (HH:MM:SS or HH:MM:SS.mmm)
+ */
+function parseTime(value) {
+  const match = value.match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/);
+  if (!match) return null;
+  return Math.round(((Number(match[1]) * 60 + Number(match[2])) * 60 + Number(match[3])) * 1000);
+}
+
+/**
+ * VAST time (HH:MM:SS.mmm) from milliseconds
+ */
+function formatTime(ms) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const seconds = Math.floor(ms / 1000);
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+function getAttr(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+  return match ? match[1] : null;
+}
+
+/**
+ * Element text without its CDATA wrapper
+ */
+function getText(body) {
+  return body.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim();
+}
+
+function cdata(text) {
+  return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function escapeXml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;',
+  })[c]);
+}
+
+module.exports = {
+  VAST_VERSION,
+  isVastXml,
+  parseVast,
+  buildVast,
+};
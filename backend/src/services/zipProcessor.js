@@ -5,6 +5,43 @@
 
 const AdmZip = require('adm-zip');
 const path = require('path');
+const { detectFileType, getFileType, getTextContent } = require('./fileTypeDetector');
+const { isVastXml, parseVast } = require('./vastService');
+
+// How many levels of ZIPs-inside-ZIPs a delivery package may have
+const MAX_NESTING_DEPTH = 3;
+
+/**
+ * Extraction limits. Sizes are uncompressed bytes and can be overridden with
+ * ZIP_MAX_ENTRIES, ZIP_MAX_FILE_SIZE_MB, ZIP_MAX_TOTAL_SIZE_MB and ZIP_MAX_RATIO.
+ */
+const LIMITS = {
+  maxEntries: getEnvNumber('ZIP_MAX_ENTRIES', 1000),
+  maxFileSize: getEnvNumber('ZIP_MAX_FILE_SIZE_MB', 50) * 1024 * 1024,
+  maxTotalSize: getEnvNumber('ZIP_MAX_TOTAL_SIZE_MB', 200) * 1024 * 1024,
+  maxRatio: getEnvNumber('ZIP_MAX_RATIO', 100),
+};
+
+// Small text files legitimately compress very well, so the ratio only applies above this size
+const RATIO_MIN_SIZE = 1024 * 1024;
+
+/**
+ * Error for archives that are rejected rather than reported on.
+ * The code tells the client which guard tripped.
+ */
+class ZipError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ZipError';
+    this.code = code;
+    this.status = 400;
+  }
+}
+
+function getEnvNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
 
 /**
  * Extract contents from a ZIP file
@@ -16,53 +53,215 @@ async function extractZip(zipPath) {
   const entries = zip.getEntries();
   const files = [];
 
-  // Binary file extensions
-  const binaryExtensions = [
-    '.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg', '.ico',
-    '.mp4', '.webm', '.mp3', '.wav', '.ogg',
-    '.woff', '.woff2', '.ttf', '.eot', '.otf',
-    '.pdf', '.zip', '.exe', '.bin'
-  ];
+  // Nothing is decompressed until every entry has passed the safety checks
+  assertSafeEntries(entries);
 
   for (const entry of entries) {
     // Skip directories
     if (entry.isDirectory) continue;
 
     const fileName = entry.entryName;
-    const ext = path.extname(fileName).toLowerCase();
 
     // Skip hidden files and system files
-    if (path.basename(fileName).startsWith('.')) continue;
-    if (fileName.includes('__MACOSX')) continue;
-
-    // Determine if file is binary
-    const isBinary = binaryExtensions.includes(ext);
-
-    if (isBinary) {
-      // Get file as base64 for binary files
-      const buffer = entry.getData();
-      files.push({
-        path: normalizeFilePath(fileName),
-        content: buffer.toString('base64'),
-        encoding: 'base64',
-        type: getFileType(ext),
-      });
+    if (isIgnoredEntry(fileName)) continue;
+
+    // The content decides the encoding, so mislabeled or extensionless assets keep their exact bytes
+    const { content, encoding, type, mimeType } = detectFileType(entry.getData(), fileName);
+    files.push({
+      path: normalizeFilePath(fileName),
+      content,
+      encoding,
+      type,
+      mimeType,
+    });
+  }
+
+  // Deliveries are usually zipped with a wrapping folder; paths are kept relative to the creative
+  const flattened = stripRootFolder(files);
+
+  // Validate folder structure
+  validateStructure(flattened);
+
+  return flattened;
+}
+
+/**
+ * Reject archives that could write outside the extraction folder or exhaust memory:
+ * path traversal, symlinks, too many entries, oversized files and zip bombs.
+ * Sizes come from the central directory. adm-zip stops inflating at the declared size,
+ * except for entries declared empty, which it inflates without a limit: those, and entries
+ * whose compressed data is too large for their declared size, are rejected as lying.
+ * @param {Array} entries - adm-zip entries
+ * @param {Object} [budget] - Running uncompressed total, shared across nested archives
+ * @throws {ZipError} If any entry is unsafe
+ */
+function assertSafeEntries(entries, budget = { total: 0 }) {
+  if (entries.length > LIMITS.maxEntries) {
+    throw new ZipError('ZIP_TOO_MANY_ENTRIES',
+      `ZIP has ${entries.length} entries, at most ${LIMITS.maxEntries} are allowed`);
+  }
+
+  for (const entry of entries) {
+    const name = entry.entryName;
+
+    if (isUnsafePath(name)) {
+      throw new ZipError('ZIP_PATH_TRAVERSAL', `ZIP entry "${name}" points outside the archive`);
+    }
+    if (isSymlink(entry)) {
+      throw new ZipError('ZIP_SYMLINK', `ZIP entry "${name}" is a symbolic link`);
+    }
+    if (entry.isDirectory) continue;
+
+    const { size, compressedSize } = entry.header;
+    if (compressedSize > getMaxCompressedSize(size)) {
+      throw new ZipError('ZIP_SIZE_MISMATCH',
+        `"${name}" declares ${size} bytes uncompressed but holds ${compressedSize} bytes of compressed data`);
+    }
+    if (size > LIMITS.maxFileSize) {
+      throw new ZipError('ZIP_FILE_TOO_LARGE',
+        `"${name}" is ${formatMB(size)} uncompressed, at most ${formatMB(LIMITS.maxFileSize)} per file is allowed`);
+    }
+
+    budget.total += size;
+    if (budget.total > LIMITS.maxTotalSize) {
+      throw new ZipError('ZIP_TOO_LARGE',
+        `ZIP contents exceed ${formatMB(LIMITS.maxTotalSize)} uncompressed`);
+    }
+
+    if (size > RATIO_MIN_SIZE && size / Math.max(compressedSize, 1) > LIMITS.maxRatio) {
+      throw new ZipError('ZIP_COMPRESSION_RATIO',
+        `"${name}" expands ${Math.round(size / Math.max(compressedSize, 1))}x, at most ${LIMITS.maxRatio}x is allowed`);
+    }
+  }
+}
+
+/**
+ * Most compressed bytes an entry of this size can take. Incompressible data is deflated
+ * into stored blocks of up to 64 KB with 5 bytes of framing each; an empty stream is 2 bytes.
+ */
+function getMaxCompressedSize(size) {
+  if (size === 0) return 2;
+  return size + 5 * Math.ceil(size / 65535);
+}
+
+/**
+ * Whether an entry name is absolute or climbs out of the archive (../, /etc, C:\)
+ */
+function isUnsafePath(name) {
+  const normalized = name.replace(/\\/g, '/');
+  return normalized.includes('\0') ||
+    normalized.startsWith('/') ||
+    /^[a-z]:/i.test(normalized) ||
+    normalized.split('/').includes('..');
+}
+
+/**
+ * Whether an entry is a symbolic link (Unix file type in the high bits of the external attributes)
+ */
+function isSymlink(entry) {
+  const mode = (entry.header.attr >>> 16) & 0o170000;
+  return mode === 0o120000;
+}
+
+function formatMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Whether a ZIP entry is OS metadata rather than part of the delivery
+ */
+function isIgnoredEntry(fileName) {
+  return path.basename(fileName).startsWith('.') || fileName.includes('__MACOSX');
+}
+
+/**
+ * Expand an agency delivery package (a ZIP of creative ZIPs, possibly nested) into
+ * the individual creative ZIPs. A ZIP is a package when it holds ZIPs but no HTML;
+ * other files in a package (spec sheets, backup images) are left out.
+ * @param {string|Buffer} source - Path or contents of the uploaded ZIP
+ * @returns {Array|null} Creative ZIPs ({ name, buffer }), or null if the upload is not a package
+ * @throws {ZipError} If packages are nested deeper than MAX_NESTING_DEPTH or any archive is unsafe
+ */
+function expandPackage(source) {
+  const creatives = collectPackageZips(source, 0, [], { total: 0 });
+  if (!creatives) return null;
+
+  // Name each creative after its path in the package, without the folders they all share
+  const shared = getSharedPrefixLength(creatives.map(c => c.segments.slice(0, -1)));
+  return creatives.map(({ segments, buffer }) => ({
+    name: segments.slice(shared).join('_'),
+    buffer,
+  }));
+}
+
+function collectPackageZips(source, depth, segments, budget) {
+  let allEntries;
+  try {
+    allEntries = new AdmZip(source).getEntries();
+  } catch (error) {
+    // Unreadable archives are reported by validation, not here
+    return null;
+  }
+
+  // The budget spans every level, so nesting can't multiply the allowed size
+  assertSafeEntries(allEntries, budget);
+  const entries = allEntries.filter(e => !e.isDirectory && !isIgnoredEntry(e.entryName));
+
+  const innerZips = entries.filter(e => path.extname(e.entryName).toLowerCase() === '.zip');
+  const hasHtml = entries.some(e => getFileType(path.extname(e.entryName)) === 'html');
+  if (innerZips.length === 0 || hasHtml) return null;
+
+  if (depth >= MAX_NESTING_DEPTH) {
+    throw new ZipError('ZIP_NESTING_TOO_DEEP', `ZIP packages can be nested at most ${MAX_NESTING_DEPTH} levels deep`);
+  }
+
+  const creatives = [];
+  for (const entry of innerZips) {
+    const buffer = entry.getData();
+    // Inner ZIPs often wrap their content in a folder of the same name: EN.zip/EN/300x250.zip
+    const entrySegments = [...segments, ...normalizeFilePath(entry.entryName).replace(/\.zip$/i, '').split('/')]
+      .filter((segment, i, all) => segment !== all[i - 1]);
+    const nested = collectPackageZips(buffer, depth + 1, entrySegments, budget);
+
+    if (nested) {
+      creatives.push(...nested);
     } else {
-      // Get file as text
-      const content = zip.readAsText(entry);
-      files.push({
-        path: normalizeFilePath(fileName),
-        content,
-        encoding: 'utf-8',
-        type: getFileType(ext),
-      });
+      creatives.push({ segments: entrySegments, buffer });
     }
   }
 
-  // Validate folder structure
-  validateStructure(files);
+  return creatives;
+}
 
-  return files;
+/**
+ * Number of leading path segments every list has in common
+ */
+function getSharedPrefixLength(lists) {
+  let length = 0;
+  while (lists.length > 0 && lists.every(l => l.length > length && l[length] === lists[0][length])) {
+    length++;
+  }
+  return length;
+}
+
+/**
+ * Strip top-level folders that wrap the whole delivery (MyBanner_300x250/index.html → index.html)
+ * @param {Array} files - Array of extracted files
+ * @returns {Array} Files with the redundant folders removed from their paths. Stripped files
+ *   keep their path in the ZIP as archivePath, since the folder name may be all that gives the size
+ */
+function stripRootFolder(files) {
+  let stripped = files;
+
+  while (stripped.length > 0 && stripped.every(f => f.path.includes('/'))) {
+    const root = stripped[0].path.split('/')[0];
+    if (!stripped.every(f => f.path.startsWith(`${root}/`))) break;
+
+    console.log(`📁 Flattening root folder: ${root}/`);
+    stripped = stripped.map(f => ({ ...f, path: f.path.slice(root.length + 1), archivePath: f.archivePath ?? f.path }));
+  }
+
+  return stripped;
 }
 
 /**
@@ -71,55 +270,9 @@ async function extractZip(zipPath) {
  * @returns {string} Normalized file path
  */
 function normalizeFilePath(filePath) {
-  // Remove leading slashes and normalize separators
-  let normalized = filePath.replace(/^[\/\\]+/, '').replace(/\\/g, '/');
-  
-  // If files are in a single root folder, we may keep or remove it based on structure
-  return normalized;
-}
-
-/**
- * Get file type based on extension
- * @param {string} ext - File extension
- * @returns {string} File type category
- */
-function getFileType(ext) {
-  const types = {
-    // HTML
-    '.html': 'html',
-    '.htm': 'html',
-    // CSS
-    '.css': 'css',
-    // JavaScript
-    '.js': 'javascript',
-    '.mjs': 'javascript',
-    // Images
-    '.png': 'image',
-    '.jpg': 'image',
-    '.jpeg': 'image',
-    '.gif': 'image',
-    '.webp': 'image',
-    '.svg': 'image',
-    '.ico': 'image',
-    // Fonts
-    '.woff': 'font',
-    '.woff2': 'font',
-    '.ttf': 'font',
-    '.eot': 'font',
-    '.otf': 'font',
-    // Data
-    '.json': 'json',
-    '.xml': 'xml',
-    // Video
-    '.mp4': 'video',
-    '.webm': 'video',
-    // Audio
-    '.mp3': 'audio',
-    '.wav': 'audio',
-    '.ogg': 'audio',
-  };
-
-  return types[ext] || 'other';
+  // Remove leading slashes and normalize separators (unsafe paths were already rejected by assertSafeEntries)
+  // (a single root folder around the whole delivery is removed later, by stripRootFolder)
+  return filePath.replace(/^[\/\\]+/, '').replace(/\\/g, '/');
 }
 
 /**
@@ -129,7 +282,9 @@ function getFileType(ext) {
  */
 function validateStructure(files) {
   if (files.length === 0) {
-    throw new Error('ZIP file is empty or contains no valid files');
+    const error = new Error('ZIP file is empty or contains no valid files');
+    error.code = 'ZIP_EMPTY';
+    throw error;
   }
 
   // Log extracted files for debugging
@@ -140,6 +295,509 @@ function validateStructure(files) {
   }
 }
 
+/**
+ * Whether an error means the archive can't be read: adm-zip and zlib failures, or nothing to
+ * extract. Anything else is a server fault rather than a bad upload.
+ * @param {Error} error - Error thrown while extracting
+ * @returns {boolean}
+ */
+function isReadError(error) {
+  const code = String(error.code || '');
+  return code === 'ZIP_EMPTY' || code.startsWith('Z_') || String(error.message).startsWith('ADM-ZIP:');
+}
+
+/**
+ * Find the creative's entry page among the shallowest HTML files
+ * @param {Array} files - Array of extracted files
+ * @returns {Object|undefined} Entry HTML file
+ */
+function getEntryHtml(files) {
+  const htmlFiles = getHtmlFiles(files);
+  if (htmlFiles.length === 0) return undefined;
+
+  const depth = Math.min(...htmlFiles.map(f => getDepth(path.posix.dirname(f.path))));
+  return chooseEntries(htmlFiles.filter(f => getDepth(path.posix.dirname(f.path)) === depth))[0];
+}
+
+/**
+ * Pick the entry page(s) among the HTML files of one folder. index.html wins; otherwise
+ * files declaring different ad sizes are separate creatives, and anything else is a
+ * single creative whose entry looks most like an ad export (Animate, GWD, ad.size)
+ * @param {Array} htmlFiles - HTML files in the same folder
+ * @returns {Array} Entry files
+ */
+function chooseEntries(htmlFiles) {
+  const index = htmlFiles.find(f => ['index.html', 'index.htm'].includes(path.posix.basename(f.path).toLowerCase()));
+  if (index) return [index];
+  if (htmlFiles.length === 1) return htmlFiles;
+
+  const sizeOf = (f) => {
+    const meta = getAdSizeMeta(getTextContent(f));
+    const fromName = path.posix.basename(f.path).match(/\d{2,4}x\d{2,4}/i);
+    if (meta) return `${meta.width}x${meta.height}`;
+    return fromName ? fromName[0].toLowerCase() : null;
+  };
+  const sized = htmlFiles.filter(sizeOf);
+  if (new Set(sized.map(sizeOf)).size > 1) return sized;
+
+  return [[...htmlFiles].sort((a, b) => scoreEntry(b) - scoreEntry(a))[0]];
+}
+
+/**
+ * How much an HTML file looks like an ad's entry page
+ */
+function scoreEntry(file) {
+  const html = getTextContent(file);
+  let score = 0;
+
+  if (getAdSizeMeta(html)) score += 4;
+  // Google Web Designer and Adobe Animate exports
+  if (/<meta[^>]+name\s*=\s*["']generator["'][^>]*Google Web Designer|<gwd-/i.test(html)) score += 3;
+  if (/AdobeAn|createjs/i.test(html)) score += 3;
+  if (/<canvas\b/i.test(html)) score += 1;
+  // Backup and test pages that ship next to the real ad
+  if (/fallback|backup|preview|test/i.test(path.posix.basename(file.path))) score -= 2;
+
+  return score;
+}
+
+/**
+ * Split a delivery into independent creatives. Each top-most folder containing HTML is
+ * a creative, entered through its index.html or the page that looks like the ad export;
+ * a folder whose HTML files declare different sizes holds one creative per file,
+ * sharing the folder's assets.
+ * @param {Array} files - Array of extracted files
+ * @returns {Array} Creatives ({ name, root, entryPath, dimensions }), largest first
+ */
+function detectCreatives(files) {
+  const htmlFiles = getHtmlFiles(files);
+  const isInside = (dir, root) => root === '.' || dir === root || dir.startsWith(`${root}/`);
+
+  // Folders nested in a creative (e.g. an HTML5 ad's own iframes) belong to that creative
+  const roots = [];
+  [...new Set(htmlFiles.map(f => path.posix.dirname(f.path)))]
+    .sort((a, b) => getDepth(a) - getDepth(b))
+    .forEach(dir => {
+      if (!roots.some(root => isInside(dir, root))) roots.push(dir);
+    });
+
+  const creatives = [];
+  for (const root of roots) {
+    const rootHtml = htmlFiles.filter(f => path.posix.dirname(f.path) === root);
+    const entries = chooseEntries(rootHtml);
+    const rootFiles = files.filter(f => isInside(path.posix.dirname(f.path), root));
+
+    for (const entry of entries) {
+      const name = entries.length === 1 && root !== '.'
+        ? path.posix.basename(root)
+        : path.posix.basename(entry.path, path.posix.extname(entry.path));
+
+      creatives.push({
+        name,
+        root: root === '.' ? '' : root,
+        entryPath: entry.path,
+        dimensions: detectDimensions(rootFiles, entry),
+      });
+    }
+  }
+
+  const area = c => (c.dimensions ? c.dimensions.width * c.dimensions.height : 0);
+  return creatives.sort((a, b) => area(b) - area(a));
+}
+
+/**
+ * Split a static delivery (images only, no HTML) into banners. Each image with a readable
+ * size is a banner; entryPath is the page generated next to it to show it at that size.
+ * @param {Array} files - Array of extracted files
+ * @returns {Array} Banners ({ name, root, entryPath, imagePath, dimensions, animation }), largest first
+ */
+function detectBanners(files) {
+  if (getHtmlFiles(files).length > 0) return [];
+
+  const taken = new Set(files.map(f => f.path));
+  const banners = [];
+
+  for (const image of getImages(files)) {
+    const buffer = Buffer.from(image.content, image.encoding === 'base64' ? 'base64' : 'utf-8');
+    const size = getImageSize(buffer);
+    if (!size) continue;
+
+    // banner.jpg and banner.gif in one folder can't both become banner.html
+    const dir = path.posix.dirname(image.path);
+    const ext = path.posix.extname(image.path);
+    const name = path.posix.basename(image.path, ext);
+    let entryPath = path.posix.join(dir, `${name}.html`);
+    if (taken.has(entryPath)) entryPath = path.posix.join(dir, `${name}-${ext.slice(1).toLowerCase()}.html`);
+    taken.add(entryPath);
+
+    banners.push({
+      name,
+      root: dir === '.' ? '' : dir,
+      entryPath,
+      imagePath: image.path,
+      dimensions: { ...size, source: 'image' },
+      animation: getGifAnimation(buffer),
+    });
+  }
+
+  return banners.sort((a, b) => (b.dimensions.width * b.dimensions.height) - (a.dimensions.width * a.dimensions.height));
+}
+
+/**
+ * Recognize a video delivery: a VAST tag, or raw video files that need one generated.
+ * Raw videos are the renditions of one ad; images that come with them are its companion banners.
+ * @param {Array} files - Array of extracted files
+ * @returns {Object|null} Video creative ({ name, root, entryPath, dimensions, format: 'vast', duration,
+ * generated, media, companions }), or null if the delivery has HTML or no video
+ */
+function detectVideo(files) {
+  if (getHtmlFiles(files).length > 0) return null;
+
+  const vastFile = files.find(f => f.encoding === 'utf-8' && isVastXml(f.content));
+  if (vastFile) {
+    const vast = parseVast(vastFile.content);
+    const largest = [...vast.mediaFiles].sort((a, b) => (b.width * b.height) - (a.width * a.height))[0];
+
+    return {
+      name: vast.adTitle || path.posix.basename(vastFile.path, path.posix.extname(vastFile.path)),
+      root: '',
+      entryPath: vastFile.path,
+      dimensions: largest?.width ? { width: largest.width, height: largest.height, source: 'vast' } : null,
+      format: 'vast',
+      duration: vast.duration,
+      generated: false,
+      media: [],
+      companions: [],
+    };
+  }
+
+  const videos = files.filter(f => f.type === 'video');
+  if (videos.length === 0) return null;
+
+  const media = videos
+    .map(f => ({
+      path: f.path,
+      mimeType: f.mimeType || 'video/mp4',
+      ...getVideoInfo(Buffer.from(f.content, 'base64')),
+    }))
+    .sort((a, b) => ((b.width || 0) * (b.height || 0)) - ((a.width || 0) * (a.height || 0)));
+
+  // The generated tag goes at the top of the delivery, clear of any delivered file
+  const taken = new Set(files.map(f => f.path));
+  let entryPath = 'vast.xml';
+  for (let i = 2; taken.has(entryPath); i++) entryPath = `vast-${i}.xml`;
+
+  return {
+    name: path.posix.basename(media[0].path, path.posix.extname(media[0].path)),
+    root: '',
+    entryPath,
+    dimensions: media[0].width ? { width: media[0].width, height: media[0].height, source: 'video' } : null,
+    format: 'vast',
+    duration: Math.max(0, ...media.map(m => m.duration || 0)) || null,
+    generated: true,
+    media,
+    companions: detectBanners(files).map(({ imagePath, dimensions }) => ({ imagePath, dimensions })),
+  };
+}
+
+function getDepth(dir) {
+  return dir === '.' ? 0 : dir.split('/').length;
+}
+
+/**
+ * Determine creative dimensions from its content, in order of reliability:
+ * the ad.size meta tag, the canvas/stage element, the pixel size of a static
+ * image creative, and finally a size pattern in the entry file's path in the ZIP
+ * @param {Array} files - Array of extracted files
+ * @param {Object} [entry] - Entry HTML file (defaults to the shallowest index.html)
+ * @returns {Object|null} { width, height, source } or null if nothing matched
+ */
+function detectDimensions(files, entry = getEntryHtml(files)) {
+
+  if (entry) {
+    const html = getTextContent(entry);
+    const fromHtml = getAdSizeMeta(html) || getStageSize(html);
+    if (fromHtml) return fromHtml;
+  } else {
+    // Static creatives: the largest image is the banner itself
+    const sizes = getImages(files)
+      .map(f => getImageSize(Buffer.from(f.content, f.encoding === 'base64' ? 'base64' : 'utf-8')))
+      .filter(Boolean)
+      .sort((a, b) => (b.width * b.height) - (a.width * a.height));
+    if (sizes.length > 0) return { ...sizes[0], source: 'image' };
+  }
+
+  // The size closest to the file wins (Campaign_728x90/MPU_300x250/index.html is 300x250)
+  const pathMatch = entry && [...(entry.archivePath ?? entry.path).matchAll(/(\d{2,4})x(\d{2,4})/gi)].pop();
+  return pathMatch
+    ? { width: parseInt(pathMatch[1]), height: parseInt(pathMatch[2]), source: 'path' }
+    : null;
+}
+
+/**
+ * Read <meta name="ad.size" content="width=300,height=250">
+ * @param {string} html - HTML source
+ * @returns {Object|null} { width, height, source }
+ */
+function getAdSizeMeta(html) {
+  const meta = html.match(/<meta\s+[^>]*name\s*=\s*["']ad\.size["'][^>]*>/i);
+  const size = meta && meta[0].match(/width\s*=\s*(\d+)\s*,\s*height\s*=\s*(\d+)/i);
+
+  return size ? { width: parseInt(size[1]), height: parseInt(size[2]), source: 'ad.size' } : null;
+}
+
+/**
+ * Read the size of the creative's canvas or stage element
+ * (an inline-styled stage/container element, <canvas width height>, or a #stage CSS rule)
+ * @param {string} html - HTML source
+ * @returns {Object|null} { width, height, source }
+ */
+function getStageSize(html) {
+  const stageName = '(?:stage|canvas|banner|container|animation_container|wrapper|ad)';
+  const candidates = [];
+
+  const stageTag = new RegExp(`<\\w+\\b[^>]*\\s(?:id|class)\\s*=\\s*["'][^"']*\\b${stageName}\\b[^"']*["'][^>]*>`, 'gi');
+  for (const [tag] of html.matchAll(stageTag)) {
+    const style = tag.match(/\sstyle\s*=\s*["']([^"']*)["']/i);
+    if (style) candidates.push(getCssSize(style[1]));
+  }
+
+  // Canvas attributes can be scaled up for high-DPI screens, so styled sizes win
+  for (const [tag] of html.matchAll(/<canvas\b[^>]*>/gi)) {
+    const width = tag.match(/\swidth\s*=\s*["']?(\d+)/i);
+    const height = tag.match(/\sheight\s*=\s*["']?(\d+)/i);
+    if (width && height) candidates.push([width[1], height[1]]);
+  }
+
+  const stageRule = new RegExp(`[#.]${stageName}\\b[^{]*\\{([^}]*)\\}`, 'gi');
+  for (const [, declarations] of html.matchAll(stageRule)) {
+    candidates.push(getCssSize(declarations));
+  }
+
+  const size = candidates.find(c => c && parseInt(c[0]) >= 10 && parseInt(c[1]) >= 10);
+  return size ? { width: parseInt(size[0]), height: parseInt(size[1]), source: 'stage' } : null;
+}
+
+/**
+ * Pixel width and height from CSS declarations
+ */
+function getCssSize(declarations) {
+  const width = declarations.match(/(?:^|;|\s)width\s*:\s*(\d+)px/i);
+  const height = declarations.match(/(?:^|;|\s)height\s*:\s*(\d+)px/i);
+  return width && height ? [width[1], height[1]] : null;
+}
+
+/**
+ * Read pixel dimensions from an image's header (PNG, GIF, JPEG, WebP, SVG)
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object|null} { width, height }
+ */
+function getImageSize(buffer) {
+  // PNG: dimensions are the first fields of the IHDR chunk
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // GIF: logical screen size follows the signature
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  // WebP: lossy, lossless and extended formats store the size differently
+  if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const format = buffer.toString('ascii', 12, 16);
+    if (format === 'VP8X') {
+      return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+    }
+    if (format === 'VP8 ') {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (format === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    return null;
+  }
+
+  // JPEG: walk the segments up to the start-of-frame marker
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      if (marker === 0xff) {
+        offset++;
+        continue;
+      }
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+
+  // SVG: width/height attributes, otherwise the viewBox
+  const svg = buffer.toString('utf-8', 0, Math.min(buffer.length, 4096)).match(/<svg\b[^>]*>/i);
+  if (svg) {
+    const width = svg[0].match(/\swidth\s*=\s*["']?(\d+(?:\.\d+)?)(?:px)?["'\s>]/i);
+    const height = svg[0].match(/\sheight\s*=\s*["']?(\d+(?:\.\d+)?)(?:px)?["'\s>]/i);
+    if (width && height) return { width: Math.round(width[1]), height: Math.round(height[1]) };
+
+    const viewBox = svg[0].match(/viewBox\s*=\s*["'][\d.\-]+[\s,]+[\d.\-]+[\s,]+([\d.]+)[\s,]+([\d.]+)/i);
+    if (viewBox) return { width: Math.round(viewBox[1]), height: Math.round(viewBox[2]) };
+  }
+
+  return null;
+}
+
+/**
+ * Read the frame count and timing of an animated GIF
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object|null} { frames, duration (ms per loop), plays (null when it loops forever) },
+ * or null for anything but a GIF with more than one frame
+ */
+function getGifAnimation(buffer) {
+  if (buffer.length < 13 || buffer.toString('ascii', 0, 3) !== 'GIF') return null;
+
+  // The global color table follows the logical screen descriptor
+  let offset = 13;
+  if (buffer[10] & 0x80) offset += 3 * 2 ** ((buffer[10] & 0x07) + 1);
+
+  let frames = 0;
+  let duration = 0;
+  let delay = 0;
+  let plays = 1;
+
+  const skipSubBlocks = () => {
+    while (offset < buffer.length && buffer[offset] !== 0) offset += buffer[offset] + 1;
+    offset++;
+  };
+
+  while (offset < buffer.length) {
+    const block = buffer[offset];
+
+    if (block === 0x21) {
+      const label = buffer[offset + 1];
+      offset += 2;
+      if (label === 0xf9 && offset + 4 < buffer.length) {
+        // Graphic control extension: delay of the next frame, in hundredths of a second
+        delay = buffer.readUInt16LE(offset + 2) * 10;
+      } else if (label === 0xff && buffer.toString('ascii', offset + 1, offset + 12) === 'NETSCAPE2.0' && offset + 16 < buffer.length) {
+        // Looping extension: 0 repeats forever, otherwise the number of repeats after the first play
+        const repeats = buffer.readUInt16LE(offset + 14);
+        plays = repeats === 0 ? null : repeats + 1;
+      }
+      skipSubBlocks();
+    } else if (block === 0x2c) {
+      // Image descriptor, optional local color table, LZW code size, then the image data
+      if (offset + 10 > buffer.length) break;
+      const packed = buffer[offset + 9];
+      offset += 10;
+      if (packed & 0x80) offset += 3 * 2 ** ((packed & 0x07) + 1);
+      offset++;
+      skipSubBlocks();
+
+      // Browsers play delays under 20ms at 100ms
+      frames++;
+      duration += delay < 20 ? 100 : delay;
+      delay = 0;
+    } else {
+      // Trailer (0x3b) or corrupt data
+      break;
+    }
+  }
+
+  return frames > 1 ? { frames, duration, plays } : null;
+}
+
+/**
+ * Read the size and duration of a video (MP4/MOV from the movie header, WebM from its segment info).
+ * Every read is checked against the bytes there are, so truncated or corrupt files just leave fields null.
+ * @param {Buffer} buffer - Video bytes
+ * @returns {Object} { width, height, duration (ms) }, with null for anything that couldn't be read
+ */
+function getVideoInfo(buffer) {
+  const info = { width: null, height: null, duration: null };
+
+  // WebM/Matroska: scan the header elements rather than walking the EBML tree
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    const head = buffer.subarray(0, Math.min(buffer.length, 64 * 1024));
+    const scaleAt = head.indexOf(Buffer.from([0x2a, 0xd7, 0xb1]));
+    // TimecodeScale is a 1-6 byte unsigned integer (readUIntBE's range)
+    const scaleLength = scaleAt >= 0 && (head[scaleAt + 3] & 0xf0) === 0x80 ? head[scaleAt + 3] & 0x0f : 0;
+    const scale = scaleLength >= 1 && scaleLength <= 6 && scaleAt + 4 + scaleLength <= head.length
+      ? head.readUIntBE(scaleAt + 4, scaleLength) || 1000000
+      : 1000000;
+    const durationAt = head.indexOf(Buffer.from([0x44, 0x89]));
+    if (durationAt >= 0 && head[durationAt + 2] === 0x88 && durationAt + 11 <= head.length) {
+      info.duration = Math.round(head.readDoubleBE(durationAt + 3) * scale / 1e6);
+    } else if (durationAt >= 0 && head[durationAt + 2] === 0x84 && durationAt + 7 <= head.length) {
+      info.duration = Math.round(head.readFloatBE(durationAt + 3) * scale / 1e6);
+    }
+    // PixelWidth and PixelHeight, two bytes each, follow each other in the video track
+    const sizeAt = head.findIndex((byte, i) => byte === 0xb0 && head[i + 1] === 0x82 && head[i + 4] === 0xba && head[i + 5] === 0x82);
+    if (sizeAt >= 0 && sizeAt + 8 <= head.length) {
+      info.width = head.readUInt16BE(sizeAt + 2);
+      info.height = head.readUInt16BE(sizeAt + 6);
+    }
+    return info;
+  }
+
+  // ISO base media (MP4, MOV): the moov box may come before or after the media data
+  const moov = findBoxes(buffer, 0, buffer.length).find(box => box.type === 'moov');
+  if (!moov) return info;
+
+  for (const box of findBoxes(buffer, moov.start, moov.end)) {
+    if (box.type === 'mvhd') {
+      const version = buffer[box.start];
+      // Version 1 has 64-bit times: timescale at 20, duration at 24..32; version 0 ends the duration at 20
+      if (box.end - box.start < (version === 1 ? 32 : 20)) continue;
+      const timescale = buffer.readUInt32BE(box.start + (version === 1 ? 20 : 12));
+      const duration = version === 1
+        ? Number(buffer.readBigUInt64BE(box.start + 24))
+        : buffer.readUInt32BE(box.start + 16);
+      if (timescale) info.duration = Math.round(duration / timescale * 1000);
+    } else if (box.type === 'trak' && !info.width) {
+      // Track size is 16.16 fixed point at the end of the track header; audio tracks have none
+      const tkhd = findBoxes(buffer, box.start, box.end).find(child => child.type === 'tkhd');
+      if (tkhd && tkhd.end - tkhd.start >= 84) {
+        const width = buffer.readUInt32BE(tkhd.end - 8) >>> 16;
+        const height = buffer.readUInt32BE(tkhd.end - 4) >>> 16;
+        if (width && height) Object.assign(info, { width, height });
+      }
+    }
+  }
+
+  return info;
+}
+
+/**
+ * Boxes (atoms) of an ISO base media file between two offsets
+ */
+function findBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let header = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) break;
+
+    boxes.push({ type: buffer.toString('latin1', offset + 4, offset + 8), start: offset + header, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+
+  return boxes;
+}
+
 /**
  * Get images from extracted files
  * @param {Array} files - Array of extracted files
@@ -159,9 +817,23 @@ function getHtmlFiles(files) {
 }
 
 module.exports = {
+  MAX_NESTING_DEPTH,
+  LIMITS,
+  ZipError,
   extractZip,
+  isReadError,
+  expandPackage,
   getImages,
   getHtmlFiles,
+  getEntryHtml,
+  detectCreatives,
+  detectBanners,
+  detectVideo,
+  stripRootFolder,
+  detectDimensions,
+  getImageSize,
+  getGifAnimation,
+  getVideoInfo,
   normalizeFilePath,
   getFileType,
 };
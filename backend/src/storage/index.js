@@ -0,0 +1,74 @@
+/**
+ * Storage Layer
+ * Selects the configured storage driver, runs migrations and exposes the repository
+ */
+
+const path = require('path');
+const { createJsonFileDriver } = require('./jsonFileDriver');
+const { createMemoryDriver } = require('./memoryDriver');
+const { createRepository } = require('./repository');
+const { runMigrations } = require('./migrations');
+const { seed } = require('./seed');
+
+const defaultStoragePath = path.join(__dirname, '../../data/db.json');
+
+let repository = null;
+
+/**
+ * Create the storage driver named by STORAGE_DRIVER (json by default)
+ */
+function createDriver() {
+  const driver = (process.env.STORAGE_DRIVER || 'json').toLowerCase();
+
+  switch (driver) {
+    case 'json':
+      return createJsonFileDriver({ filePath: process.env.STORAGE_PATH || defaultStoragePath });
+    case 'memory':
+      return createMemoryDriver();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "json" or "memory")`);
+  }
+}
+
+/**
+ * Initialize storage: load the document, apply migrations and optionally seed
+ * @param {Object} [options] - Init options
+ * @param {boolean} [options.seedData] - Insert the default clients (defaults to SEED_DATA=true)
+ * @returns {Promise<Object>} Repository
+ */
+async function init({ seedData = process.env.SEED_DATA === 'true' } = {}) {
+  const driver = createDriver();
+  const { data, applied } = runMigrations(await driver.load());
+
+  if (applied.length > 0) {
+    await driver.save(data);
+    applied.forEach(m => console.log(`🗄️  Applied migration ${m.version}: ${m.name}`));
+  }
+
+  repository = createRepository(driver, data);
+
+  if (seedData) {
+    const added = await seed(repository);
+    if (added > 0) {
+      console.log(`🌱 Seeded ${added} clients`);
+    }
+  }
+
+  return repository;
+}
+
+/**
+ * Get the initialized repository
+ * @throws {Error} If init() has not completed
+ */
+function getRepository() {
+  if (!repository) {
+    throw new Error('Storage has not been initialized');
+  }
+  return repository;
+}
+
+module.exports = {
+  init,
+  getRepository,
+};
@@ -0,0 +1,48 @@
+/**
+ * JSON File Storage Driver
+ * Persists the whole storage document to a single JSON file on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a driver that reads and writes a JSON document
+ * @param {Object} options - Driver options
+ * @param {string} options.filePath - Path of the JSON file
+ * @returns {Object} Storage driver with load() and save()
+ */
+function createJsonFileDriver({ filePath }) {
+  return {
+    name: 'json',
+
+    /**
+     * Load the stored document, or null if nothing has been stored yet
+     */
+    async load() {
+      try {
+        const raw = await fs.promises.readFile(filePath, 'utf-8');
+        return JSON.parse(raw);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw new Error(`Failed to read storage file ${filePath}: ${error.message}`);
+      }
+    },
+
+    /**
+     * Save the document, writing to a temp file first so a crash never leaves a half-written file
+     */
+    async save(data) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf-8');
+      await fs.promises.rename(tmpPath, filePath);
+    },
+  };
+}
+
+module.exports = {
+  createJsonFileDriver,
+};
@@ -0,0 +1,28 @@
+/**
+ * In-Memory Storage Driver
+ * Keeps the storage document in process memory (useful for tests and throwaway runs)
+ */
+
+/**
+ * Create a driver that never touches the disk
+ * @returns {Object} Storage driver with load() and save()
+ */
+function createMemoryDriver() {
+  let snapshot = null;
+
+  return {
+    name: 'memory',
+
+    async load() {
+      return snapshot ? JSON.parse(snapshot) : null;
+    },
+
+    async save(data) {
+      snapshot = JSON.stringify(data);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryDriver,
+};
@@ -0,0 +1,74 @@
+/**
+ * Storage Migrations
+ * Ordered list of schema changes applied to the storage document on startup
+ */
+
+/**
+ * Each migration mutates the document in place. Versions must be strictly increasing
+ * and a migration must never be edited once released - add a new one instead.
+ */
+const migrations = [
+  {
+    version: 1,
+    name: 'initial-schema',
+    up(data) {
+      data.clients = data.clients || [];
+      data.campaigns = data.campaigns || [];
+      data.previews = data.previews || [];
+    },
+  },
+  {
+    version: 2,
+    name: 'preview-versions',
+    up(data) {
+      // Previews published before versioning live unversioned at their folder root
+      data.previews.forEach((preview) => {
+        preview.versions = preview.versions || [];
+        preview.currentVersion = preview.currentVersion || null;
+        preview.updatedAt = preview.updatedAt || preview.createdAt;
+      });
+    },
+  },
+  {
+    version: 3,
+    name: 'client-branding',
+    up(data) {
+      // Unbranded clients use the default theme
+      data.clients.forEach((client) => {
+        client.branding = client.branding || { theme: null, logoUrl: null, colors: {}, footerText: null };
+      });
+    },
+  },
+];
+
+/**
+ * Apply all pending migrations to a storage document
+ * @param {Object|null} data - Stored document (null for a fresh store)
+ * @returns {{ data: Object, applied: Array }} Migrated document and the migrations that ran
+ */
+function runMigrations(data) {
+  const doc = data || { schemaVersion: 0, migrations: [] };
+  doc.schemaVersion = doc.schemaVersion || 0;
+  doc.migrations = doc.migrations || [];
+
+  const applied = [];
+  for (const migration of migrations) {
+    if (migration.version <= doc.schemaVersion) continue;
+
+    migration.up(doc);
+    doc.schemaVersion = migration.version;
+    doc.migrations.push({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: new Date().toISOString(),
+    });
+    applied.push(migration);
+  }
+
+  return { data: doc, applied };
+}
+
+module.exports = {
+  migrations,
+  runMigrations,
+};
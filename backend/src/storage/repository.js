@@ -0,0 +1,102 @@
+/**
+ * Repository
+ * Collection-style access to clients, campaigns and previews on top of a storage driver
+ */
+
+/**
+ * Create a repository bound to a loaded storage document
+ * @param {Object} driver - Storage driver used to persist changes
+ * @param {Object} data - Migrated storage document
+ * @returns {Object} Repository with clients, campaigns and previews collections
+ */
+function createRepository(driver, data) {
+  // Serialize writes so concurrent requests never interleave saves
+  let writeChain = Promise.resolve();
+
+  function persist() {
+    const result = writeChain.then(() => driver.save(data));
+    writeChain = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Build a collection over one of the document's arrays
+   * @param {string} key - Property of the document holding the records
+   * @param {Function} [sort] - Comparator applied to list results
+   */
+  function createCollection(key, sort) {
+    const records = () => data[key];
+
+    return {
+      /**
+       * List records, optionally filtered by matching field values
+       * @param {Object} [filter] - Field/value pairs every record must match
+       */
+      async list(filter = {}) {
+        const matches = records().filter(record =>
+          Object.entries(filter).every(([field, value]) => record[field] === value)
+        );
+        if (sort) matches.sort(sort);
+        return matches.map(clone);
+      },
+
+      async get(id) {
+        const record = records().find(r => r.id === id);
+        return record ? clone(record) : null;
+      },
+
+      /**
+       * Find the first record matching a predicate
+       * @param {Function} predicate - Called with each record
+       */
+      async find(predicate) {
+        const record = records().find(predicate);
+        return record ? clone(record) : null;
+      },
+
+      async create(record) {
+        if (records().some(r => r.id === record.id)) {
+          throw new Error(`${key} record already exists: ${record.id}`);
+        }
+        records().push(clone(record));
+        await persist();
+        return clone(record);
+      },
+
+      async update(id, changes) {
+        const record = records().find(r => r.id === id);
+        if (!record) return null;
+        Object.assign(record, clone(changes), { id });
+        await persist();
+        return clone(record);
+      },
+
+      async remove(id) {
+        const index = records().findIndex(r => r.id === id);
+        if (index === -1) return false;
+        records().splice(index, 1);
+        await persist();
+        return true;
+      },
+    };
+  }
+
+  return {
+    driver: driver.name,
+    clients: createCollection('clients'),
+    campaigns: createCollection('campaigns'),
+    // Newest previews first, matching the order the UI displays them in
+    previews: createCollection('previews', (a, b) => b.createdAt.localeCompare(a.createdAt)),
+  };
+}
+
+/**
+ * Deep copy a plain JSON record so callers can't mutate stored state
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  createRepository,
+};
@@ -0,0 +1,50 @@
+/**
+ * Storage Seed
+ * Optional starter data. Runs on startup when SEED_DATA=true, or manually via `npm run seed`.
+ */
+
+const defaultClients = [
+  { id: 'coca-cola', name: 'Coca-Cola', slug: 'coca-cola' },
+  { id: 'verizon', name: 'Verizon', slug: 'verizon' },
+  { id: 'google', name: 'Google', slug: 'google' },
+  { id: 'meta', name: 'Meta', slug: 'meta' },
+  { id: 'amazon', name: 'Amazon', slug: 'amazon' },
+  { id: 'nike', name: 'Nike', slug: 'nike' },
+  { id: 'apple', name: 'Apple', slug: 'apple' },
+];
+
+/**
+ * Insert the default clients that don't exist yet
+ * @param {Object} repository - Storage repository
+ * @returns {Promise<number>} Number of clients added
+ */
+async function seed(repository) {
+  let added = 0;
+  for (const client of defaultClients) {
+    if (await repository.clients.get(client.id)) continue;
+    await repository.clients.create({
+      ...client,
+      branding: { theme: null, logoUrl: null, colors: {}, footerText: null },
+    });
+    added++;
+  }
+  return added;
+}
+
+module.exports = {
+  defaultClients,
+  seed,
+};
+
+// Allow running directly: node src/storage/seed.js
+if (require.main === module) {
+  require('dotenv').config();
+  const storage = require('./index');
+
+  storage.init({ seedData: true })
+    .then(() => console.log('🌱 Seed complete'))
+    .catch((error) => {
+      console.error('Seed failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,13 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolveProfileId } = require('../src/services/adValidator');
+
+test('resolveProfileId accepts known profiles', () => {
+  assert.strictEqual(resolveProfileId('google'), 'google');
+});
+
+test('resolveProfileId rejects Object.prototype keys', () => {
+  for (const profile of ['toString', 'constructor', '__proto__']) {
+    assert.throws(() => resolveProfileId(profile), new RegExp(`Unknown ad spec profile "${profile}"`));
+  }
+});
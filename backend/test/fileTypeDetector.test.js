@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectFileType, getTextContent } = require('../src/services/fileTypeDetector');
+
+test('keeps the extension type of Windows-1252 text and stores its bytes', () => {
+  const buffer = Buffer.from('<html><body>Caf\xe9 <script>var clickTag = "";</script></body></html>', 'latin1');
+  const file = detectFileType(buffer, 'index.html');
+
+  assert.strictEqual(file.type, 'html');
+  assert.strictEqual(file.encoding, 'base64');
+  assert.strictEqual(file.mimeType, 'text/html');
+  assert.deepStrictEqual(Buffer.from(file.content, 'base64'), buffer);
+  assert.match(getTextContent(file), /var clickTag/);
+});
+
+test('decodes UTF-16 text by its BOM', () => {
+  const buffer = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('var clickTag;', 'utf16le')]);
+  const file = detectFileType(buffer, 'main.js');
+
+  assert.strictEqual(file.type, 'javascript');
+  assert.strictEqual(getTextContent(file), 'var clickTag;');
+});
+
+test('types binary data with a text extension as other', () => {
+  assert.strictEqual(detectFileType(Buffer.from([0x01, 0x00, 0xc8, 0xff]), 'main.js').type, 'other');
+});
+
+test('types ISO media files by their ftyp brand', () => {
+  const ftyp = brand => Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from(`ftyp${brand}\0\0\0\0isom`, 'latin1')]);
+
+  assert.deepStrictEqual(
+    ['M4A ', 'heic', 'mif1', 'isom'].map(brand => detectFileType(ftyp(brand), 'asset').mimeType),
+    ['audio/mp4', 'image/heic', 'image/heif', 'video/mp4']
+  );
+  assert.strictEqual(detectFileType(ftyp('M4A '), 'voiceover.m4a').type, 'audio');
+  assert.strictEqual(detectFileType(ftyp('heic'), 'photo.heic').type, 'image');
+});
@@ -0,0 +1,29 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalPublisher } = require('../src/publishers/localPublisher');
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-publisher-test-'));
+after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+test('a failed batch with rollbackOnFailure leaves the folder as it was', async () => {
+  fs.mkdirSync(path.join(rootDir, 'banner'));
+  fs.writeFileSync(path.join(rootDir, 'banner', 'index.html'), 'v1');
+  const publisher = createLocalPublisher({ rootDir, baseUrl: 'http://localhost/previews' });
+
+  await assert.rejects(publisher.deployBatch({
+    message: 'Deploy banner',
+    rollbackOnFailure: true,
+    deployments: [
+      { folderPath: 'banner', files: [{ path: 'index.html', content: 'v2' }, { path: 'v2/ad.js', content: '' }] },
+      { folderPath: 'campaign', files: [{ path: 'index.html', content: 'index' }] },
+      { folderPath: 'broken', files: [{ path: '../../outside.html', content: '' }] },
+    ],
+  }), /batch rolled back/);
+
+  assert.deepStrictEqual(fs.readdirSync(rootDir), ['banner']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(rootDir, 'banner')), ['index.html']);
+  assert.strictEqual(fs.readFileSync(path.join(rootDir, 'banner', 'index.html'), 'utf-8'), 'v1');
+});
@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const publishDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rollback-test-'));
+process.env.STORAGE_DRIVER = 'memory';
+process.env.PUBLISHER = 'local';
+process.env.LOCAL_PUBLISH_DIR = publishDir;
+
+const express = require('express');
+const storage = require('../src/storage');
+const apiRoutes = require('../src/routes/api');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const repo = await storage.init({ seedData: false });
+  const createdAt = new Date().toISOString();
+  await repo.clients.create({ id: 'acme', name: 'Acme', slug: 'acme', createdAt });
+  await repo.campaigns.create({ id: 'launch', clientId: 'acme', name: 'Launch', slug: 'launch', createdAt });
+  await repo.previews.create({
+    id: 'banner',
+    creativeName: 'Banner',
+    folderPath: 'acme/launch/banner',
+    clientId: 'acme',
+    campaignId: 'launch',
+    dimensions: { width: 728, height: 90 },
+    currentVersion: 2,
+    versions: [
+      { version: 1, dimensions: { width: 300, height: 250 }, createdAt },
+      { version: 2, dimensions: { width: 728, height: 90 }, createdAt },
+    ],
+    createdAt,
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(publishDir, { recursive: true, force: true });
+});
+
+test('rollback reframes the preview in the campaign index at the restored size', async () => {
+  const response = await fetch(`${baseUrl}/previews/banner/rollback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ version: 1 }),
+  });
+  assert.strictEqual(response.status, 200);
+
+  const index = fs.readFileSync(path.join(publishDir, 'acme/launch/index.html'), 'utf-8');
+  assert.match(index, /width:300px; height:250px;/);
+  assert.doesNotMatch(index, /width:728px/);
+
+  const redirect = fs.readFileSync(path.join(publishDir, 'acme/launch/banner/index.html'), 'utf-8');
+  assert.match(redirect, /v1\//);
+});
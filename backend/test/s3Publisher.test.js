@@ -0,0 +1,45 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { createS3Publisher } = require('../src/publishers/s3Publisher');
+
+// Stands in for the bucket: every request goes through here instead of the network
+const originalSend = S3Client.prototype.send;
+after(() => { S3Client.prototype.send = originalSend; });
+
+test('a failed batch is only rolled back once every upload in the chunk has finished', async () => {
+  const events = [];
+  S3Client.prototype.send = async function send(command) {
+    const name = command.constructor.name;
+    const { Key } = command.input;
+    if (name === 'GetObjectCommand') {
+      throw Object.assign(new Error('missing'), { name: 'NoSuchKey' });
+    }
+    if (name === 'PutObjectCommand') {
+      if (Key.endsWith('broken.js')) throw new Error('put failed');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      events.push(`put ${Key}`);
+      return {};
+    }
+    if (name === 'DeleteObjectsCommand') {
+      events.push(`delete ${command.input.Delete.Objects.map(o => o.Key).join(',')}`);
+      return {};
+    }
+    throw new Error(`Unexpected ${name}`);
+  };
+
+  const publisher = createS3Publisher({ bucket: 'previews' });
+  await assert.rejects(publisher.deployBatch({
+    message: 'Deploy banner',
+    rollbackOnFailure: true,
+    deployments: [{
+      folderPath: 'banner',
+      files: [
+        { path: 'broken.js', content: '' },
+        { path: 'index.html', content: '<html></html>' },
+      ],
+    }],
+  }), /batch rolled back: put failed/);
+
+  assert.deepStrictEqual(events, ['put banner/index.html', 'delete banner/broken.js,banner/index.html']);
+});
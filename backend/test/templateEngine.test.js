@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { helpers } = require('../src/services/templateEngine');
+
+test('json escapes "<" so a value cannot close the script block', () => {
+  const output = helpers.json({ name: '</script><script>alert(1)</script>' }).toString();
+
+  assert.doesNotMatch(output, /</);
+  assert.deepStrictEqual(JSON.parse(output), { name: '</script><script>alert(1)</script>' });
+});
+
+test('json escapes the line separators JavaScript strings cannot hold', () => {
+  assert.strictEqual(helpers.json('a\u2028b\u2029c').toString(), '"a\\u2028b\\u2029c"');
+});
+
+test('json renders missing values as null', () => {
+  assert.strictEqual(helpers.json(undefined).toString(), 'null');
+});
+
+test('url percent-encodes relative paths segment by segment', () => {
+  assert.strictEqual(helpers.url('a b/#1'), 'a%20b/%231');
+  assert.strictEqual(helpers.url('"><script>'), '%22%3E%3Cscript%3E');
+});
+
+test('url keeps http(s) URLs', () => {
+  assert.strictEqual(helpers.url('https://example.com/a?b=1'), 'https://example.com/a?b=1');
+  assert.strictEqual(helpers.url('HTTP://example.com/'), 'HTTP://example.com/');
+});
+
+test('url replaces other schemes and protocol-relative URLs with "#"', () => {
+  assert.strictEqual(helpers.url('javascript:alert(1)'), '#');
+  assert.strictEqual(helpers.url('JavaScript:alert(1)'), '#');
+  assert.strictEqual(helpers.url('data:text/html,<script>alert(1)</script>'), '#');
+  assert.strictEqual(helpers.url('//evil.example/'), '#');
+});
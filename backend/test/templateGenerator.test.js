@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generateCampaignIndexHtml, generateWrapperHtml } = require('../src/services/templateGenerator');
+
+const HOSTILE = '"><script>alert(1)</script>';
+
+/**
+ * Values of an attribute across the page
+ */
+function attributes(html, name) {
+  return [...html.matchAll(new RegExp(`\\s${name}="([^"]*)"`, 'g'))].map(match => match[1]);
+}
+
+function campaignIndex(creatives, names = {}) {
+  return generateCampaignIndexHtml({
+    client: { name: names.client || 'Client' },
+    campaign: { name: names.campaign || 'Campaign' },
+    creatives,
+  });
+}
+
+test('campaign index escapes names in text and attributes', () => {
+  const html = campaignIndex(
+    [{ creativeName: HOSTILE, slug: 'banner', locale: HOSTILE, dimensions: { width: 300, height: 250 } },
+      { creativeName: 'Other', slug: 'other', locale: 'EN', dimensions: { width: 300, height: 250 } }],
+    { client: '</script>', campaign: "It's <b>" }
+  );
+
+  assert.doesNotMatch(html, /<script>alert/);
+  assert.match(html, /- &lt;\/script&gt;<\/title>/);
+  assert.match(html, /&quot;&gt;&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.match(html, /It&#x27;s &lt;b&gt;/);
+});
+
+test('campaign index encodes slugs and drops script URLs', () => {
+  const html = campaignIndex([
+    { creativeName: 'Quote', slug: "it's", locale: 'EN', dimensions: { width: 300, height: 250 } },
+    { creativeName: 'Script', slug: 'javascript:alert(1)', locale: 'EN', dimensions: { width: 300, height: 250 } },
+    { creativeName: 'Break', slug: HOSTILE, locale: 'EN', dimensions: { width: 300, height: 250 } },
+  ]);
+  const urls = [...attributes(html, 'src'), ...attributes(html, 'href'), ...attributes(html, 'data-href')];
+
+  assert.ok(urls.includes('it&#x27;s/'));
+  assert.ok(urls.includes('#/'));
+  assert.ok(urls.includes('%22%3E%3Cscript%3Ealert(1)%3C/script%3E/'));
+  assert.ok(urls.every(url => !/^javascript:/i.test(url)));
+});
+
+test('campaign index only puts numeric sizes in styles', () => {
+  const html = campaignIndex([
+    { creativeName: 'Odd', slug: 'odd', locale: 'EN', dimensions: { width: '1px;background:url(x)', height: '"' } },
+  ]);
+  const styles = attributes(html, 'style');
+
+  assert.ok(styles.length > 0);
+  assert.ok(styles.every(style => !style.includes('background:url')));
+  assert.match(styles[0], /width:300px; height:250px;/);
+});
+
+function wrapper(creatives, options = {}) {
+  return generateWrapperHtml({ creativeName: 'Creative', creatives, ...options });
+}
+
+test('wrapper escapes the creative name', () => {
+  const html = wrapper([{ name: HOSTILE, entryPath: 'index.html', dimensions: { width: 300, height: 250 } }], {
+    creativeName: HOSTILE,
+  });
+
+  assert.doesNotMatch(html, /<script>alert/);
+  assert.ok(attributes(html, 'data-name').includes('&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;'));
+});
+
+test('wrapper keeps clickTag names inside its script', () => {
+  const html = wrapper([{
+    name: 'Banner',
+    entryPath: 'index.html',
+    dimensions: { width: 300, height: 250 },
+    clickTags: ['</script><script>alert(1)//'],
+    scopedClickTags: ["'"],
+  }]);
+
+  assert.doesNotMatch(html, /<\/script><script>alert/);
+  assert.match(html, /const CLICK_TAGS = \["\\u003c\/script>\\u003cscript>alert\(1\)\/\/"\];/);
+  assert.match(html, /const SCOPED_CLICK_TAGS = \["'"\];/);
+});
+
+test('wrapper encodes entry paths', () => {
+  const html = wrapper([
+    { name: 'Script', entryPath: 'javascript:alert(1)', dimensions: { width: 300, height: 250 } },
+    { name: 'Quote', entryPath: "it's/index.html", dimensions: { width: 728, height: 90 } },
+  ]);
+  const sources = attributes(html, 'data-src');
+
+  assert.ok(sources.includes('creative/javascript%3Aalert(1)'));
+  assert.ok(sources.includes('creative/it&#x27;s/index.html'));
+});
+
+test('wrapper falls back to the default size for non-numeric sizes', () => {
+  const html = wrapper([{ name: 'Odd', entryPath: 'index.html', dimensions: { width: '1" onload="alert(1)', height: 'x' } }]);
+
+  assert.deepStrictEqual([...new Set(attributes(html, 'width'))], ['300']);
+  assert.deepStrictEqual([...new Set(attributes(html, 'height'))], ['250']);
+  assert.doesNotMatch(html, /onload="alert/);
+});
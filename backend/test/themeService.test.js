@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateBranding, resolveTheme } = require('../src/services/themeService');
+
+test('validateBranding treats null as no branding', () => {
+  assert.deepStrictEqual(validateBranding(null), { theme: null, logoUrl: null, colors: {}, footerText: null });
+});
+
+test('validateBranding rejects Object.prototype keys as themes', () => {
+  for (const theme of ['constructor', 'toString', '__proto__']) {
+    assert.throws(() => validateBranding({ theme }), { status: 400, message: new RegExp(`Unknown theme "${theme}"`) });
+  }
+});
+
+test('validateBranding rejects a theme that is not a string', () => {
+  assert.throws(() => validateBranding({ theme: ['dark'] }), { status: 400, message: 'theme must be a theme id' });
+});
+
+test('resolveTheme falls back to the default theme for unknown ids', () => {
+  const fallback = resolveTheme();
+  assert.strictEqual(resolveTheme({ theme: 'constructor' }).id, fallback.id);
+  assert.ok(resolveTheme({ theme: 'constructor' }).colors.background);
+});
@@ -0,0 +1,163 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { LIMITS, extractZip, isReadError, getVideoInfo } = require('../src/services/zipProcessor');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+let zipCount = 0;
+
+/**
+ * Write a ZIP holding one file, optionally with a forged uncompressed size in both headers
+ */
+function writeZip(content, { declaredSize } = {}) {
+  const zip = new AdmZip();
+  zip.addFile('index.html', content);
+  const buffer = zip.toBuffer();
+
+  if (declaredSize !== undefined) {
+    forEachHeader(buffer, (signature, offset) => {
+      if (signature === LOCAL_HEADER) buffer.writeUInt32LE(declaredSize, offset + 22);
+      if (signature === CENTRAL_HEADER) buffer.writeUInt32LE(declaredSize, offset + 24);
+    });
+  }
+
+  return saveZip(buffer);
+}
+
+/**
+ * Write a ZIP holding the given files ({ name: content })
+ */
+function writeFiles(files) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) zip.addFile(name, Buffer.from(content));
+  return saveZip(zip.toBuffer());
+}
+
+function forEachHeader(buffer, visit) {
+  for (let offset = 0; offset < buffer.length - 4; offset++) {
+    visit(buffer.readUInt32LE(offset), offset);
+  }
+}
+
+function saveZip(buffer) {
+  const file = path.join(tmpDir, `creative-${++zipCount}.zip`);
+  fs.writeFileSync(file, buffer);
+  return file;
+}
+
+/**
+ * Run with some extraction limits lowered, so the guards trip on tiny archives
+ */
+async function withLimits(overrides, fn) {
+  const saved = { ...LIMITS };
+  Object.assign(LIMITS, overrides);
+  try {
+    await fn();
+  } finally {
+    Object.assign(LIMITS, saved);
+  }
+}
+
+test('extracts a well-formed ZIP', async () => {
+  const files = await extractZip(writeZip(Buffer.from('<html><body>ad</body></html>')));
+  assert.deepStrictEqual(files.map(f => f.path), ['index.html']);
+});
+
+test('tells unreadable archives apart from other extraction failures', async () => {
+  const corrupt = path.join(tmpDir, 'corrupt.zip');
+  fs.writeFileSync(corrupt, 'not a zip');
+  await assert.rejects(extractZip(corrupt), error => isReadError(error));
+
+  const empty = new AdmZip();
+  empty.addFile('.DS_Store', Buffer.from('x'));
+  const emptyFile = path.join(tmpDir, 'empty.zip');
+  fs.writeFileSync(emptyFile, empty.toBuffer());
+  await assert.rejects(extractZip(emptyFile), error => isReadError(error));
+
+  assert.strictEqual(isReadError(new TypeError("Cannot read properties of undefined (reading 'length')")), false);
+});
+
+test('extracts small files that deflate larger than they are', async () => {
+  const files = await extractZip(writeZip(Buffer.from('x')));
+  assert.strictEqual(files[0].content, 'x');
+});
+
+test('rejects an entry declared empty that inflates to more', async () => {
+  await assert.rejects(
+    extractZip(writeZip(Buffer.alloc(20 * 1024, 'a'), { declaredSize: 0 })),
+    { name: 'ZipError', code: 'ZIP_SIZE_MISMATCH' }
+  );
+});
+
+test('rejects an entry whose compressed data exceeds its declared size', async () => {
+  await assert.rejects(
+    extractZip(writeZip(Buffer.from(Array.from({ length: 4096 }, (_, i) => (i * 7919) % 251)), { declaredSize: 10 })),
+    { name: 'ZipError', code: 'ZIP_SIZE_MISMATCH' }
+  );
+});
+
+test('rejects an entry that climbs out of the archive', async () => {
+  // adm-zip strips ../ when adding, so the name is rewritten in the built archive
+  const buffer = fs.readFileSync(writeFiles({ 'xx/evil.html': 'x' }));
+  buffer.write('../evil.html', buffer.indexOf('xx/evil.html'), 'latin1');
+  buffer.write('../evil.html', buffer.lastIndexOf('xx/evil.html'), 'latin1');
+
+  await assert.rejects(extractZip(saveZip(buffer)), { name: 'ZipError', code: 'ZIP_PATH_TRAVERSAL' });
+});
+
+test('rejects a symbolic link', async () => {
+  const buffer = fs.readFileSync(writeFiles({ 'index.html': '/etc/passwd' }));
+  forEachHeader(buffer, (signature, offset) => {
+    if (signature === CENTRAL_HEADER) buffer.writeUInt32LE((0o120777 << 16) >>> 0, offset + 38);
+  });
+
+  await assert.rejects(extractZip(saveZip(buffer)), { name: 'ZipError', code: 'ZIP_SYMLINK' });
+});
+
+test('rejects an archive with too many entries', async () => {
+  await withLimits({ maxEntries: 2 }, () => assert.rejects(
+    extractZip(writeFiles({ 'index.html': 'a', 'a.js': 'b', 'b.js': 'c' })),
+    { name: 'ZipError', code: 'ZIP_TOO_MANY_ENTRIES' }
+  ));
+});
+
+test('rejects an archive whose files add up to more than the total size', async () => {
+  await withLimits({ maxTotalSize: 1024 }, () => assert.rejects(
+    extractZip(writeFiles({ 'index.html': 'a'.repeat(600), 'ad.js': 'b'.repeat(600) })),
+    { name: 'ZipError', code: 'ZIP_TOO_LARGE' }
+  ));
+});
+
+test('rejects a large entry that compresses too well', async () => {
+  await assert.rejects(
+    extractZip(writeZip(Buffer.alloc(2 * 1024 * 1024))),
+    { name: 'ZipError', code: 'ZIP_COMPRESSION_RATIO' }
+  );
+});
+
+/**
+ * ISO base media box with the given type and body
+ */
+function box(type, body) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+test('reads nothing from a truncated MP4 movie header', () => {
+  const video = Buffer.concat([box('ftyp', Buffer.from('isom\0\0\0\0')), box('moov', box('mvhd', Buffer.alloc(4)))]);
+  assert.deepStrictEqual(getVideoInfo(video), { width: null, height: null, duration: null });
+});
+
+test('reads nothing from a WebM timecode scale without a length', () => {
+  const video = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x2a, 0xd7, 0xb1, 0x80, 0x00, 0x00]);
+  assert.deepStrictEqual(getVideoInfo(video), { width: null, height: null, duration: null });
+});
@@ -3,6 +3,8 @@ import axios from 'axios';
 import DropZone from './components/DropZone';
 import PreviewForm from './components/PreviewForm';
 import PreviewList from './components/PreviewList';
+import JobProgress from './components/JobProgress';
+import ValidationReport from './components/ValidationReport';
 import './App.css';
 
 /**
@@ -21,6 +23,9 @@ function App() {
     description: '',
     clientId: '',
     campaignId: '',
+    rollbackOnFailure: false,
+    profile: '',
+    clickUrl: '',
   });
   // State for generated previews
   const [previews, setPreviews] = useState([]);
@@ -28,10 +33,16 @@ function App() {
   const [isLoading, setIsLoading] = useState(false);
   // Error state
   const [error, setError] = useState(null);
+  // Code of a rejected upload or failed job (e.g. ZIP_PATH_TRAVERSAL)
+  const [errorCode, setErrorCode] = useState(null);
   // Success message
   const [successMessage, setSuccessMessage] = useState('');
   // Batch results
   const [batchResults, setBatchResults] = useState(null);
+  // Live progress of the running generation job
+  const [activeJob, setActiveJob] = useState(null);
+  // Ad spec reports for the uploaded creatives
+  const [validationReports, setValidationReports] = useState([]);
 
   // Fetch existing previews on component mount
   useEffect(() => {
@@ -50,14 +61,32 @@ function App() {
     }
   };
 
+  /**
+   * Unpublish a preview and refresh the list
+   */
+  const handleDeletePreview = async (preview) => {
+    setError(null);
+    setErrorCode(null);
+    try {
+      await axios.delete(`/api/previews/${preview.id}`);
+      setSuccessMessage(`Deleted "${preview.creativeName}"`);
+      fetchPreviews();
+    } catch (err) {
+      console.error('Failed to delete preview:', err);
+      setError(err.response?.data?.error || 'Failed to delete preview. Please try again.');
+    }
+  };
+
   /**
    * Handle file selection from DropZone
    */
   const handleFileSelect = useCallback((file) => {
     setSelectedFile(file);
     setError(null);
+    setErrorCode(null);
     setSuccessMessage('');
     setBatchResults(null);
+    setValidationReports([]);
   }, []);
 
   /**
@@ -77,28 +106,80 @@ function App() {
     }));
   }, []);
 
+  /**
+   * Follow a generation job until it finishes, streaming progress into state.
+   * Falls back to polling if the event stream can't be opened.
+   */
+  const waitForJob = (jobId) => new Promise((resolve, reject) => {
+    const isFinished = (job) => job.status === 'done' || job.status === 'failed';
+
+    const pollJob = async () => {
+      try {
+        const response = await axios.get(`/api/jobs/${jobId}`);
+        const { job } = response.data;
+        setActiveJob(job);
+        if (isFinished(job)) {
+          resolve(job);
+        } else {
+          setTimeout(pollJob, 1500);
+        }
+      } catch (err) {
+        reject(err);
+      }
+    };
+
+    const events = new EventSource(`/api/jobs/${jobId}/events`);
+    events.addEventListener('job', (e) => {
+      const job = JSON.parse(e.data);
+      setActiveJob(job);
+      if (isFinished(job)) {
+        events.close();
+        resolve(job);
+      }
+    });
+    events.onerror = () => {
+      events.close();
+      pollJob();
+    };
+  });
+
   /**
    * Handle single file upload
    */
   const handleSingleUpload = async () => {
     // Step 1: Upload the ZIP file
     const uploadFormData = new FormData();
+    uploadFormData.append('profile', formData.profile);
     uploadFormData.append('zipFile', selectedFile);
 
     const uploadResponse = await axios.post('/api/upload', uploadFormData, {
       headers: { 'Content-Type': 'multipart/form-data' },
     });
 
-    // Step 2: Generate preview with form data
+    // A delivery package (ZIP of creative ZIPs) is published like a batch upload
+    if (uploadResponse.data.isPackage) {
+      return startBatch(uploadResponse.data.files);
+    }
+
+    setValidationReports([
+      { name: formData.creativeName || uploadResponse.data.filename, validation: uploadResponse.data.validation },
+    ]);
+
+    // Step 2: Start preview generation with form data
     const generateResponse = await axios.post('/api/generate-preview', {
       fileId: uploadResponse.data.fileId,
+      filename: uploadResponse.data.filename,
       creativeName: formData.creativeName,
       description: formData.description,
       clientId: formData.clientId,
       campaignId: formData.campaignId,
+      profile: formData.profile,
+      clickUrl: formData.clickUrl,
     });
 
-    return generateResponse.data;
+    // Step 3: Follow the job until the preview is deployed
+    setActiveJob(generateResponse.data.job);
+    return waitForJob(generateResponse.data.jobId);
   };
 
   /**
@@ -107,6 +188,7 @@ function App() {
   const handleBatchUpload = async (files) => {
     // Step 1: Upload all ZIP files
     const uploadFormData = new FormData();
+    uploadFormData.append('profile', formData.profile);
     files.forEach(file => {
       uploadFormData.append('zipFiles', file);
     });
@@ -115,16 +197,32 @@ function App() {
       headers: { 'Content-Type': 'multipart/form-data' },
     });
 
-    // Step 2: Generate batch previews
+    return startBatch(uploadResponse.data.files);
+  };
+
+  /**
+   * Start batch generation for uploaded creatives and follow the job
+   */
+  const startBatch = async (uploadedFiles) => {
+    setValidationReports(uploadedFiles.map(file => ({
+      name: file.filename,
+      validation: file.validation,
+    })));
+
+    // Step 2: Start batch generation
     const generateResponse = await axios.post('/api/generate-batch', {
-      files: uploadResponse.data.files,
-      campaignName: formData.campaignId,
+      files: uploadedFiles,
       description: formData.description,
       clientId: formData.clientId,
       campaignId: formData.campaignId,
+      rollbackOnFailure: formData.rollbackOnFailure,
+      profile: formData.profile,
+      clickUrl: formData.clickUrl,
     });
 
-    return generateResponse.data;
+    // Step 3: Follow the job until every creative is processed
+    setActiveJob(generateResponse.data.job);
+    return waitForJob(generateResponse.data.jobId);
   };
 
   /**
@@ -133,8 +231,11 @@ function App() {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
+    setErrorCode(null);
     setSuccessMessage('');
     setBatchResults(null);
+    setActiveJob(null);
+    setValidationReports([]);
 
     // Validate
     if (!selectedFile) {
@@ -153,18 +254,27 @@ function App() {
     setIsLoading(true);
 
     try {
-      if (isBatchMode && Array.isArray(selectedFile)) {
-        // Batch upload
-        const result = await handleBatchUpload(selectedFile);
+      const job = isBatchMode && Array.isArray(selectedFile)
+        ? await handleBatchUpload(selectedFile)
+        : await handleSingleUpload();
+
+      if (job.status === 'failed') {
+        setError(job.error || 'Failed to generate preview. Please try again.');
+        setErrorCode(job.errorCode || null);
+        if (job.result) setBatchResults(job.result);
+        return;
+      }
+
+      const result = job.result;
+      if (job.type === 'batch') {
         setBatchResults(result);
         setSuccessMessage(
           `Batch upload complete! ${result.processed} of ${result.processed + result.failed} creatives deployed.`
         );
       } else {
-        // Single upload
-        const result = await handleSingleUpload();
         setSuccessMessage(`Preview generated successfully! URL: ${result.previewUrl}`);
       }
+      setActiveJob(null);
 
       // Reset form
       setSelectedFile(null);
@@ -175,11 +285,15 @@ function App() {
         description: '',
         clientId: formData.clientId, // Keep client selected
         campaignId: formData.campaignId, // Keep campaign selected
+        rollbackOnFailure: formData.rollbackOnFailure,
+        profile: formData.profile,
+        clickUrl: '',
       });
       fetchPreviews();
     } catch (err) {
       console.error('Failed to generate preview:', err);
       setError(err.response?.data?.error || 'Failed to generate preview. Please try again.');
+      setErrorCode(err.response?.data?.code || null);
     } finally {
       setIsLoading(false);
     }
@@ -206,6 +320,7 @@ function App() {
           {error && (
             <div className="message error-message">
               <span className="message-icon">⚠️</span>
+              {errorCode && <code className="error-code">{errorCode}</code>}
               {error}
             </div>
           )}
@@ -218,15 +333,23 @@ function App() {
             </div>
           )}
 
+          {/* Live job progress */}
+          {activeJob && <JobProgress job={activeJob} />}
+
+          {/* Ad spec validation */}
+          <ValidationReport reports={validationReports} />
+
           {/* Batch results */}
           {batchResults && batchResults.results && (
             <div className="batch-results">
               <h3>📦 Batch Upload Results</h3>
-              <p className="campaign-url">
-                Campaign Gallery: <a href={batchResults.campaignUrl} target="_blank" rel="noopener noreferrer">
-                  {batchResults.campaignUrl}
-                </a>
-              </p>
+              {batchResults.campaignUrl && (
+                <p className="campaign-url">
+                  Campaign Gallery: <a href={batchResults.campaignUrl} target="_blank" rel="noopener noreferrer">
+                    {batchResults.campaignUrl}
+                  </a>
+                </p>
+              )}
               <div className="results-list">
                 {batchResults.results.map((result, index) => (
                   <div key={index} className="result-item success">
@@ -239,7 +362,10 @@ function App() {
                 {batchResults.errors?.map((err, index) => (
                   <div key={`err-${index}`} className="result-item error">
                     <span className="result-name">{err.filename}</span>
-                    <span className="result-error">{err.error}</span>
+                    <span className="result-error">
+                      {err.errorCode && <code className="error-code">{err.errorCode}</code>}
+                      {err.error}
+                    </span>
                   </div>
                 ))}
               </div>
@@ -268,7 +394,7 @@ function App() {
         </div>
 
         {/* Preview history */}
-        <PreviewList previews={previews} onRefresh={fetchPreviews} />
+        <PreviewList previews={previews} onRefresh={fetchPreviews} onDelete={handleDeletePreview} />
       </main>
 
       <footer className="app-footer">
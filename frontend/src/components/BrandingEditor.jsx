@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import './BrandingEditor.css';
+
+// Theme colors a client can override from the form
+const COLOR_FIELDS = [
+  { key: 'accent', label: 'Accent' },
+  { key: 'accentAlt', label: 'Second accent' },
+];
+
+const emptyBranding = { theme: '', logoUrl: '', colors: {}, footerText: '' };
+
+/**
+ * Color inputs only take #rrggbb values
+ */
+function toHexColor(value) {
+  if (/^#[0-9a-f]{6}$/i.test(value || '')) return value;
+  if (/^#[0-9a-f]{3}$/i.test(value || '')) return `#${value.slice(1).split('').map(c => c + c).join('')}`;
+  return '#000000';
+}
+
+/**
+ * BrandingEditor Component
+ * Theme, logo, colors and footer text of a client's preview pages
+ *
+ * @param {Object} client - Selected client ({ id, name, branding })
+ * @param {Function} onSaved - Called with the updated client
+ */
+function BrandingEditor({ client, onSaved, disabled = false }) {
+  const [themes, setThemes] = useState([]);
+  const [branding, setBranding] = useState(emptyBranding);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchThemes();
+  }, []);
+
+  useEffect(() => {
+    const saved = client.branding || {};
+    setBranding({
+      theme: saved.theme || '',
+      logoUrl: saved.logoUrl || '',
+      colors: saved.colors || {},
+      footerText: saved.footerText || '',
+    });
+    setMessage(null);
+    // Only on switching clients: saving updates the client too, and the form already shows what was saved
+  }, [client.id]);
+
+  const fetchThemes = async () => {
+    try {
+      const response = await axios.get('/api/themes');
+      setThemes(response.data.themes || []);
+    } catch (err) {
+      console.error('Failed to fetch themes:', err);
+    }
+  };
+
+  const selectedTheme = themes.find(t => t.id === branding.theme) || themes.find(t => t.isDefault);
+
+  const setColor = (key, value) => {
+    setBranding({ ...branding, colors: { ...branding.colors, [key]: value } });
+  };
+
+  const resetColor = (key) => {
+    const { [key]: removed, ...colors } = branding.colors;
+    setBranding({ ...branding, colors });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setMessage(null);
+
+    try {
+      const response = await axios.put(`/api/clients/${client.id}/branding`, branding);
+      const { republished } = response.data;
+      onSaved(response.data.client);
+      setMessage({
+        type: 'success',
+        text: republished > 0
+          ? `Saved. ${republished} campaign ${republished === 1 ? 'index' : 'indexes'} republished; previews update when next published.`
+          : 'Saved. Previews use it when they are next published.',
+      });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to save branding' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="branding-editor">
+      <div className="branding-row">
+        <label htmlFor="brandingTheme" className="branding-label">Theme</label>
+        <select
+          id="brandingTheme"
+          value={branding.theme}
+          onChange={(e) => setBranding({ ...branding, theme: e.target.value })}
+          className="form-input form-select"
+          disabled={disabled || isSaving}
+        >
+          <option value="">Default</option>
+          {themes.map(theme => (
+            <option key={theme.id} value={theme.id}>
+              {theme.name}{theme.isDefault ? ' • default' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="branding-row">
+        <label htmlFor="brandingLogo" className="branding-label">Logo URL</label>
+        <input
+          type="url"
+          id="brandingLogo"
+          value={branding.logoUrl}
+          onChange={(e) => setBranding({ ...branding, logoUrl: e.target.value })}
+          placeholder="https://example.com/logo.png"
+          className="form-input"
+          disabled={disabled || isSaving}
+        />
+      </div>
+
+      <div className="branding-row">
+        <span className="branding-label">Colors</span>
+        <div className="branding-colors">
+          {COLOR_FIELDS.map(({ key, label }) => {
+            const override = branding.colors[key];
+            return (
+              <span key={key} className="branding-color">
+                <input
+                  type="color"
+                  value={toHexColor(override || selectedTheme?.colors[key])}
+                  onChange={(e) => setColor(key, e.target.value)}
+                  disabled={disabled || isSaving}
+                  title={label}
+                />
+                {label}
+                {override && (
+                  <button type="button" className="branding-reset" onClick={() => resetColor(key)}>
+                    reset
+                  </button>
+                )}
+              </span>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="branding-row">
+        <label htmlFor="brandingFooter" className="branding-label">Footer text</label>
+        <input
+          type="text"
+          id="brandingFooter"
+          value={branding.footerText}
+          onChange={(e) => setBranding({ ...branding, footerText: e.target.value })}
+          placeholder="e.g., Confidential - for client review only"
+          maxLength={200}
+          className="form-input"
+          disabled={disabled || isSaving}
+        />
+      </div>
+
+      <div className="branding-actions">
+        {message && <span className={`branding-message ${message.type}`}>{message.text}</span>}
+        <button type="button" className="confirm-add" onClick={handleSave} disabled={disabled || isSaving}>
+          {isSaving ? 'Saving...' : 'Save branding'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BrandingEditor;
@@ -244,7 +244,7 @@ function DropZone({ onFileSelect, selectedFile, disabled = false, multiple = tru
               Drag & drop your ZIP file(s) here
             </p>
             <p className="dropzone-subtext">
-              Drop multiple files for batch upload
+              Drop multiple files, or one ZIP of creative ZIPs, for batch upload
             </p>
             <label className="dropzone-button">
               <input
@@ -0,0 +1,68 @@
+import { ValidationBadge } from './ValidationReport';
+import './JobProgress.css';
+
+/**
+ * JobProgress Component
+ * Shows live per-creative progress for a running generation job
+ *
+ * @param {Object} job - Job snapshot from the backend ({ status, items })
+ */
+function JobProgress({ job }) {
+  if (!job) return null;
+
+  const stageLabels = {
+    pending: 'Waiting',
+    extracting: 'Extracting',
+    generating: 'Generating',
+    deploying: 'Deploying',
+    done: 'Done',
+    failed: 'Failed',
+  };
+
+  const stageIcons = {
+    pending: '⏳',
+    extracting: '📦',
+    generating: '📝',
+    deploying: '🚀',
+    done: '✅',
+    failed: '❌',
+  };
+
+  const finishedCount = job.items.filter(item => item.stage === 'done' || item.stage === 'failed').length;
+  const percent = job.items.length > 0 ? Math.round((finishedCount / job.items.length) * 100) : 0;
+
+  return (
+    <div className="job-progress">
+      <div className="job-progress-header">
+        <h3>⚙️ Processing {job.items.length === 1 ? 'creative' : `${job.items.length} creatives`}</h3>
+        <span className="job-progress-count">{finishedCount} / {job.items.length}</span>
+      </div>
+
+      <div className="job-progress-bar">
+        <div className="job-progress-fill" style={{ width: `${percent}%` }} />
+      </div>
+
+      <div className="job-progress-list">
+        {job.items.map((item, index) => (
+          <div key={item.fileId || index} className={`job-item job-item-${item.stage}`}>
+            <span className="job-item-icon">{stageIcons[item.stage]}</span>
+            <span className="job-item-name">{item.creativeName || item.filename}</span>
+            <span className="job-item-stage">
+              <ValidationBadge validation={item.validation} />
+              {stageLabels[item.stage]}
+              {item.detail && <span className="job-item-detail"> · {item.detail}</span>}
+            </span>
+            {item.error && (
+              <span className="job-item-error">
+                {item.errorCode && <code className="job-item-error-code">{item.errorCode}</code>}
+                {item.error}
+              </span>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default JobProgress;
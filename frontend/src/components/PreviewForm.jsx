@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import axios from 'axios';
+import BrandingEditor from './BrandingEditor';
 import './PreviewForm.css';
 
 /**
@@ -18,13 +19,16 @@ function PreviewForm({
   const [clients, setClients] = useState([]);
   const [campaigns, setCampaigns] = useState([]);
   const [showNewClient, setShowNewClient] = useState(false);
+  const [showBranding, setShowBranding] = useState(false);
   const [showNewCampaign, setShowNewCampaign] = useState(false);
   const [newClientName, setNewClientName] = useState('');
   const [newCampaignName, setNewCampaignName] = useState('');
+  const [profiles, setProfiles] = useState([]);
 
-  // Fetch clients on mount
+  // Fetch clients and ad spec profiles on mount
   useEffect(() => {
     fetchClients();
+    fetchProfiles();
   }, []);
 
   // Fetch campaigns when client changes
@@ -45,6 +49,15 @@ function PreviewForm({
     }
   };
 
+  const fetchProfiles = async () => {
+    try {
+      const response = await axios.get('/api/ad-profiles');
+      setProfiles(response.data.profiles || []);
+    } catch (err) {
+      console.error('Failed to fetch ad spec profiles:', err);
+    }
+  };
+
   const fetchCampaigns = async (clientId) => {
     try {
       const response = await axios.get(`/api/clients/${clientId}/campaigns`);
@@ -132,6 +145,15 @@ function PreviewForm({
           >
             +
           </button>
+          <button
+            type="button"
+            className="add-button"
+            onClick={() => setShowBranding(!showBranding)}
+            disabled={isLoading || !selectedClient}
+            title="Branding of this client's preview pages"
+          >
+            🎨
+          </button>
         </div>
         {showNewClient && (
           <div className="inline-add">
@@ -147,6 +169,13 @@ function PreviewForm({
             </button>
           </div>
         )}
+        {showBranding && selectedClient && (
+          <BrandingEditor
+            client={selectedClient}
+            onSaved={(updated) => setClients(clients.map(c => (c.id === updated.id ? updated : c)))}
+            disabled={isLoading}
+          />
+        )}
       </div>
 
       {/* Campaign Selection */}
@@ -214,7 +243,7 @@ function PreviewForm({
             required={!isBatchMode}
           />
           <p className="form-hint">
-            For batch uploads, names are extracted from filenames
+            For batch uploads and ZIPs of ZIPs, names are extracted from filenames
           </p>
         </div>
       )}
@@ -236,6 +265,70 @@ function PreviewForm({
         />
       </div>
 
+      {/* Click-through URL for static banners */}
+      <div className="form-group">
+        <label htmlFor="clickUrl" className="form-label">
+          Click-through URL
+        </label>
+        <input
+          type="url"
+          id="clickUrl"
+          name="clickUrl"
+          value={formData.clickUrl}
+          onChange={handleChange}
+          placeholder="https://example.com/landing-page"
+          className="form-input"
+          disabled={isLoading}
+        />
+        <p className="form-hint">
+          Used by static image banners (JPG, PNG, GIF), which get a page of their own size
+        </p>
+      </div>
+
+      {/* Ad spec profile */}
+      <div className="form-group">
+        <label htmlFor="profile" className="form-label">
+          Ad Spec Profile
+        </label>
+        <select
+          id="profile"
+          name="profile"
+          value={formData.profile}
+          onChange={handleChange}
+          className="form-input form-select"
+          disabled={isLoading}
+        >
+          <option value="">Default</option>
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name} ({profile.maxInitialLoadKB} KB, {profile.maxFiles} files){profile.isDefault ? ' • default' : ''}
+            </option>
+          ))}
+        </select>
+        <p className="form-hint">
+          Creatives are checked against this spec; problems are reported but don't block publishing
+        </p>
+      </div>
+
+      {/* All-or-nothing publishing - only for batch upload */}
+      {isBatchMode && (
+        <div className="form-group">
+          <label className="form-checkbox">
+            <input
+              type="checkbox"
+              name="rollbackOnFailure"
+              checked={!!formData.rollbackOnFailure}
+              onChange={(e) => onChange('rollbackOnFailure', e.target.checked)}
+              disabled={isLoading}
+            />
+            Publish all or nothing
+          </label>
+          <p className="form-hint">
+            If any creative fails, nothing from this batch is published
+          </p>
+        </div>
+      )}
+
       {/* Preview Path Display */}
       {selectedClient && selectedCampaign && (
         <div className="path-preview">
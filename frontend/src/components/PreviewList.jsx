@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { ValidationBadge } from './ValidationReport';
 import './PreviewList.css';
 
 /**
@@ -7,9 +8,11 @@ import './PreviewList.css';
  * 
  * @param {Array} previews - List of generated preview objects
  * @param {Function} onRefresh - Callback to refresh the preview list
+ * @param {Function} onDelete - Callback to unpublish and delete a preview
  */
-function PreviewList({ previews = [], onRefresh }) {
+function PreviewList({ previews = [], onRefresh, onDelete }) {
   const [copiedId, setCopiedId] = useState(null);
+  const [deletingId, setDeletingId] = useState(null);
 
   /**
    * Copy preview URL to clipboard
@@ -25,6 +28,23 @@ function PreviewList({ previews = [], onRefresh }) {
     }
   };
 
+  /**
+   * Confirm and delete a preview
+   */
+  const handleDelete = async (preview) => {
+    const confirmed = window.confirm(
+      `Delete "${preview.creativeName}"?\n\nThe preview will be unpublished and its link will stop working.`
+    );
+    if (!confirmed) return;
+
+    setDeletingId(preview.id);
+    try {
+      await onDelete(preview);
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
   /**
    * Format date for display
    */
@@ -104,26 +124,53 @@ function PreviewList({ previews = [], onRefresh }) {
 
             <p className="preview-date">
               Created: {formatDate(preview.createdAt)}
+              {preview.currentVersion && (
+                <span className="preview-version">
+                  v{preview.currentVersion}
+                  {preview.versions?.length > 1 && ` of ${preview.versions.length}`}
+                </span>
+              )}
+              {preview.creatives?.length > 1 ? (
+                <span className="preview-size" title={preview.creatives.map(c => c.name).join(', ')}>
+                  {preview.creatives.length} sizes
+                </span>
+              ) : preview.dimensions && (
+                <span className="preview-size">
+                  {preview.dimensions.width}×{preview.dimensions.height}
+                </span>
+              )}
+              <ValidationBadge validation={preview.validation} />
             </p>
 
-            {preview.url && (
-              <div className="preview-actions">
-                <a
-                  href={preview.url}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="preview-link"
-                >
-                  🔗 Open Preview
-                </a>
+            <div className="preview-actions">
+              {preview.url && (
+                <>
+                  <a
+                    href={preview.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="preview-link"
+                  >
+                    🔗 Open Preview
+                  </a>
+                  <button
+                    className={`copy-button ${copiedId === preview.id ? 'copied' : ''}`}
+                    onClick={() => handleCopyLink(preview.url, preview.id)}
+                  >
+                    {copiedId === preview.id ? '✓ Copied!' : '📋 Copy Link'}
+                  </button>
+                </>
+              )}
+              {onDelete && (
                 <button
-                  className={`copy-button ${copiedId === preview.id ? 'copied' : ''}`}
-                  onClick={() => handleCopyLink(preview.url, preview.id)}
+                  className="delete-button"
+                  onClick={() => handleDelete(preview)}
+                  disabled={deletingId === preview.id}
                 >
-                  {copiedId === preview.id ? '✓ Copied!' : '📋 Copy Link'}
+                  {deletingId === preview.id ? 'Deleting...' : '🗑️ Delete'}
                 </button>
-              </div>
-            )}
+              )}
+            </div>
           </div>
         ))}
       </div>
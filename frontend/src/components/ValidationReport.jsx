@@ -0,0 +1,68 @@
+import './ValidationReport.css';
+
+const statusIcons = {
+  pass: '✅',
+  warn: '⚠️',
+  fail: '❌',
+};
+
+const statusLabels = {
+  pass: 'Pass',
+  warn: 'Warn',
+  fail: 'Fail',
+};
+
+/**
+ * ValidationBadge Component
+ * Compact pass/warn/fail marker for an ad spec report
+ *
+ * @param {Object} validation - Report from the backend ({ status, profileName })
+ */
+export function ValidationBadge({ validation }) {
+  if (!validation) return null;
+
+  return (
+    <span
+      className={`validation-badge validation-${validation.status}`}
+      title={`${validation.profileName} spec: ${statusLabels[validation.status]}`}
+    >
+      {statusIcons[validation.status]} {validation.profileName}
+    </span>
+  );
+}
+
+/**
+ * ValidationReport Component
+ * Lists each creative's ad spec checks
+ *
+ * @param {Array} reports - Creatives and their reports ([{ name, validation }])
+ */
+function ValidationReport({ reports }) {
+  const validated = (reports || []).filter(report => report.validation);
+  if (validated.length === 0) return null;
+
+  return (
+    <div className="validation-report">
+      <h3>🧪 Ad Spec Validation</h3>
+      {validated.map((report, index) => (
+        <div key={`${report.name}-${index}`} className="validation-creative">
+          <div className="validation-creative-header">
+            <span className="validation-creative-name">{report.name}</span>
+            <ValidationBadge validation={report.validation} />
+          </div>
+          <ul className="validation-checks">
+            {report.validation.checks.map(check => (
+              <li key={check.id} className={`validation-check validation-${check.status}`}>
+                <span className="validation-check-icon">{statusIcons[check.status]}</span>
+                <span className="validation-check-label">{check.label}</span>
+                <span className="validation-check-message">{check.message}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ValidationReport;